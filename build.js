@@ -1,6 +1,6 @@
 // build.js — esbuild bundler for ResumeOS Chrome Extension
 // Bundles background.js and content.js separately (MV3 requires separate bundles)
-// All heavy deps (Gemini SDK, docx, mammoth) go into background bundle only
+// All heavy deps (Gemini SDK, docx, mammoth, pdf.js) go into background bundle only
 
 const esbuild = require('esbuild');
 const path = require('path');
@@ -21,7 +21,7 @@ const sharedConfig = {
 
 async function build() {
   // ─── Background service worker ───────────────────────────────────────────
-  // Contains: Gemini SDK, docx.js, mammoth, all utils
+  // Contains: Gemini SDK, docx.js, mammoth, pdf.js, all utils
   // WHY: Service workers can import ESM. All AI + file logic lives here.
   //      Content scripts cannot call AI. Side panel cannot use Node modules.
   await esbuild.build({
@@ -10,10 +10,22 @@
 // MESSAGE PROTOCOL:
 //   All messages follow { action: string, data: any }
 //   All responses follow { success: boolean, data?: any, error?: any }
+//
+// STREAMING PROTOCOL (long-lived port named 'stream'):
+//   Panel posts one { action, data } per port, same as a message.
+//   Background posts any number of { type: 'partial', resume } and
+//   { type: 'status', message }, then exactly one
+//   { type: 'done', data } or { type: 'error', error }.
+//   Disconnecting the port cancels the request (aborts the AI call).
 
-import { tailorResume, rebuildPreferenceSummary, parseGeminiError } from '../utils/ai.js';
+import { tailorResume, regenerateFragment, rebuildPreferenceSummary } from '../utils/ai.js';
+import { buildProviderConfig, getProviderInfo } from '../utils/providers/catalog.js';
 import { generateDocx, buildFilename } from '../utils/docx.js';
 import { parseResumeFile } from '../utils/resume-parser.js';
+import { structureResume } from '../utils/resume-structure.js';
+import { resumeToText, profileText } from '../utils/resume-text.js';
+import { normalizeSkillDictionary, detectSkillPacks } from '../utils/keywords.js';
+import { normalizeInventory, hasInventory } from '../utils/inventory.js';
 import {
   readMemory,
   recordSession,
@@ -49,47 +61,133 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     .then(result => sendResponse({ success: true, data: result }))
     .catch(err => {
       console.error(`[ResumeOS background] Error in ${action}:`, err);
-      sendResponse({
-        success: false,
-        error: typeof err === 'object' && err.code
-          ? err
-          : { code: 'UNKNOWN', message: err?.message || String(err) },
-      });
+      sendResponse({ success: false, error: toErrorResponse(err) });
     });
 
   return true;
 });
 
+// Streaming router — same handlers, progress pushed over the port
+// WHY a port (not sendMessage): a message gets exactly one response. The
+// tailoring call takes 10–20s and we want to show output as it arrives.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'stream') return;
+
+  // WHY disconnect = cancel: it also fires when the side panel closes,
+  // so an abandoned request never keeps burning the user's quota.
+  const controller = new AbortController();
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    controller.abort();
+  });
+  const post = (msg) => { if (connected) port.postMessage(msg); };
+
+  port.onMessage.addListener(({ action, data }) => {
+    const stream = {
+      onPartial: resume => post({ type: 'partial', resume }),
+      onStatus: message => post({ type: 'status', message }),
+      signal: controller.signal,
+    };
+
+    handleMessage(action, data, port.sender, stream)
+      .then(result => post({ type: 'done', data: result }))
+      .catch(err => {
+        if (err?.code !== 'CANCELLED') {
+          console.error(`[ResumeOS background] Error in ${action} (stream):`, err);
+        }
+        post({ type: 'error', error: toErrorResponse(err) });
+      });
+  });
+});
+
+// Structured errors (with a code) pass through; anything else is wrapped
+function toErrorResponse(err) {
+  return typeof err === 'object' && err.code
+    ? err
+    : { code: 'UNKNOWN', message: err?.message || String(err) };
+}
+
 // Message handlers
 
-async function handleMessage(action, data, sender) {
+// `stream` is only set when called over a port: { onPartial, onStatus, signal }
+async function handleMessage(action, data, sender, stream) {
   switch (action) {
 
     // Save settings
     case 'SAVE_SETTINGS': {
-      const { name, apiKey, baseResumeText, onboardingDone } = data;
+      const { name, apiKeys, provider, baseUrl, model, skillPacks, onboardingDone } = data;
+      const profiles = (data.profiles || [])
+        .filter(p => p.text?.trim())
+        .map(p => ({
+          id: p.id,
+          name: p.name?.trim() || 'Untitled',
+          text: p.text.trim(),
+          json: p.json || structureResume(p.text),
+          jsonEdited: Boolean(p.json && p.jsonEdited),
+        }));
       await chromeStorageSet({
         'ros_name': name,
-        'ros_apiKey': apiKey,
-        'ros_baseResume': baseResumeText,
+        'ros_apiKeys': Object.fromEntries(Object.entries(apiKeys || {}).filter(([, key]) => key?.trim())),
+        'ros_provider': provider,
+        'ros_baseUrl': baseUrl,
+        'ros_model': model,
+        'ros_resumeProfiles': profiles,
+        'ros_baseResume': profiles[0]?.text || '', // default profile, for readers of the single-resume key
+        'ros_skillPacks': skillPacks,
         'ros_onboardingDone': onboardingDone || false,
       });
+      await chrome.storage.local.remove('ros_apiKey'); // the one-key-for-all-providers field, now in ros_apiKeys
       return { saved: true };
     }
 
     // Get settings
     case 'GET_SETTINGS': {
       const settings = await chromeStorageGet([
-        'ros_name', 'ros_apiKey', 'ros_baseResume', 'ros_onboardingDone',
+        'ros_name', 'ros_apiKey', 'ros_apiKeys', 'ros_provider', 'ros_baseUrl', 'ros_model',
+        'ros_baseResume', 'ros_baseResumeJson', 'ros_resumeProfiles', 'ros_skillPacks', 'ros_onboardingDone',
       ]);
+      const profiles = readProfiles(settings);
       return {
         name: settings.ros_name || '',
-        apiKey: settings.ros_apiKey || '',
-        baseResumeText: settings.ros_baseResume || '',
+        apiKey: readApiKeys(settings)[settings.ros_provider || 'gemini'] || '', // the selected provider's
+        apiKeys: readApiKeys(settings),
+        provider: settings.ros_provider || 'gemini',
+        baseUrl: settings.ros_baseUrl || '',
+        model: settings.ros_model || '',
+        baseResumeText: profileText(profiles[0]), // the default profile
+        profiles,
+        skillPacks: settings.ros_skillPacks || { auto: true, active: [] },
         onboardingDone: settings.ros_onboardingDone || false,
       };
     }
 
+    // Custom skill dictionary — edited in Settings, merged into keyword matching
+    case 'GET_SKILL_DICTIONARY': {
+      const stored = await chromeStorageGet(['ros_skillDictionary']);
+      return normalizeSkillDictionary(stored.ros_skillDictionary || { skills: [] }).dictionary;
+    }
+
+    case 'SAVE_SKILL_DICTIONARY': {
+      const { dictionary, error } = normalizeSkillDictionary(data);
+      if (error) throw { code: 'INVALID_DICTIONARY', message: error };
+      await chromeStorageSet({ 'ros_skillDictionary': dictionary });
+      return { dictionary };
+    }
+
+    // Achievement bank — edited in Settings, picked from in bank-mode tailoring
+    case 'GET_INVENTORY': {
+      const stored = await chromeStorageGet(['ros_inventory']);
+      return normalizeInventory(stored.ros_inventory || { roles: [] }).inventory;
+    }
+
+    case 'SAVE_INVENTORY': {
+      const { inventory, error } = normalizeInventory(data);
+      if (error) throw { code: 'INVALID_INVENTORY', message: error };
+      await chromeStorageSet({ 'ros_inventory': inventory });
+      return { inventory };
+    }
+
     // Parse uploaded resume file - WHY in background: mammoth.js is bundled here. Content/panel can't use it.
     case 'PARSE_RESUME_FILE': {
       const { fileData, filename } = data;
@@ -99,30 +197,65 @@ async function handleMessage(action, data, sender) {
       for (let i = 0; i < binaryStr.length; i++) {
         bytes[i] = binaryStr.charCodeAt(i);
       }
-      return await parseResumeFile(bytes.buffer, filename);
+      const parsed = await parseResumeFile(bytes.buffer, filename);
+      // Structured draft for the Settings form; the text stays the source for the AI
+      if (parsed.text && !parsed.structured) parsed.structured = structureResume(parsed.text, { headings: parsed.headings });
+      return parsed;
+    }
+
+    // LinkedIn profile open in the active tab → same shape as PARSE_RESUME_FILE.
+    // The side panel previews it before it replaces anything.
+    case 'IMPORT_LINKEDIN_PROFILE': {
+      const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      if (!/^https:\/\/(?:www\.)?linkedin\.com\/in\//.test(tab?.url || '')) {
+        throw { code: 'NOT_A_PROFILE', message: 'Open your LinkedIn profile (linkedin.com/in/…) in the current tab, then import.' };
+      }
+
+      const profile = await requestFromContentScript(tab.id, 'EXTRACT_LINKEDIN_PROFILE');
+      if (!profile?.resume.experience.length && !profile?.resume.education.length) {
+        throw { code: 'EXTRACTION_FAILED', message: 'Couldn\'t read the profile. Scroll down so Experience and Education load, then import again.' };
+      }
+      return { text: resumeToText(profile.resume), structured: profile.resume, notes: profile.notes, source: 'LinkedIn profile' };
     }
 
-    // Tailor resume via Gemini
+    // Tailor resume via the configured AI provider
     case 'TAILOR_RESUME': {
-      const settings = await chromeStorageGet(['ros_apiKey', 'ros_baseResume']);
-      const apiKey = settings.ros_apiKey;
-      const baseResume = settings.ros_baseResume;
+      const { provider, baseResume, preferenceSummary, inventory, customSkills, packs } = await loadTailoringContext(data);
+
+      const { resume, verification } = await tailorResume({
+        provider,
+        baseResume,
+        jobDescription: data.jobDescription,
+        preferenceSummary,
+        inventory,
+        customSkills,
+        packs,
+        onPartial: stream?.onPartial,
+        onStatus: stream?.onStatus,
+        signal: stream?.signal,
+      });
 
-      if (!apiKey) throw { code: 'NO_KEY', message: 'No API key found. Complete setup in Settings.' };
-      if (!baseResume) throw { code: 'NO_RESUME', message: 'No base resume found. Upload your resume in Settings.' };
+      return { resume, verification };
+    }
 
-      // Get preference summary from career memory
-      const memory = await readMemory();
-      const preferenceSummary = memory.aggregate.preferenceSummary;
+    // Regenerate one section/bullet, rest of the tailored resume held fixed
+    case 'REGENERATE_FRAGMENT': {
+      const { provider, baseResume, preferenceSummary, inventory, customSkills, packs } = await loadTailoringContext(data);
 
-      const result = await tailorResume({
-        apiKey,
+      const fragment = await regenerateFragment({
+        provider,
         baseResume,
         jobDescription: data.jobDescription,
+        resume: data.resume,
+        target: data.target,
         preferenceSummary,
+        inventory,
+        customSkills,
+        packs,
+        signal: stream?.signal,
       });
 
-      return { resume: result };
+      return { fragment };
     }
 
     // ── Generate .docx and return base64 ──────────────────────────────────
@@ -150,17 +283,17 @@ async function handleMessage(action, data, sender) {
 
     // Record confirmed session to career memory
     case 'RECORD_SESSION': {
-      const { jobData, confirmedResume, keywordsUsed } = data;
-      const sessionId = await recordSession({ jobData, confirmedResume, keywordsUsed });
+      const { jobData, confirmedResume, keywordsUsed, scoreDelta, profileId } = data;
+      const sessionId = await recordSession({ jobData, confirmedResume, keywordsUsed, scoreDelta, profileId });
 
       // Check if we should rebuild the preference summary
       const memory = await readMemory();
       if (shouldRebuildSummary(memory.aggregate)) {
         // Rebuild in background — don't block the response
-        const settings = await chromeStorageGet(['ros_apiKey']);
-        if (settings.ros_apiKey) {
+        const provider = await getProviderConfig();
+        if (provider.apiKey || !getProviderInfo(provider.id).needsKey) {
           rebuildPreferenceSummary({
-            apiKey: settings.ros_apiKey,
+            provider,
             sessions: memory.sessions.slice(-10), // last 10 sessions
           }).then(summary => updatePreferenceSummary(summary))
             .catch(err => console.warn('[ResumeOS] Summary rebuild failed:', err));
@@ -200,6 +333,82 @@ async function handleMessage(action, data, sender) {
   }
 }
 
+// Everything an AI rewrite needs. Throws NO_KEY / NO_RESUME if setup is incomplete.
+// profileId: the resume profile to tailor from; unknown or missing = the default.
+// useInventory: bank mode — inventory is the achievement bank, or null when
+// it's off or the bank is empty. customSkills / packs: the skill vocabulary
+// keyword analysis uses, for verifying the tools a rewrite names.
+async function loadTailoringContext({ profileId, useInventory }) {
+  const provider = await getProviderConfig();
+  const settings = await chromeStorageGet([
+    'ros_baseResume', 'ros_baseResumeJson', 'ros_resumeProfiles', 'ros_inventory', 'ros_skillDictionary', 'ros_skillPacks',
+  ]);
+  const profiles = readProfiles(settings);
+  const baseResume = profileText(profiles.find(p => p.id === profileId) || profiles[0]);
+
+  if (getProviderInfo(provider.id).needsKey && !provider.apiKey) {
+    throw { code: 'NO_KEY', message: 'No API key found. Complete setup in Settings.' };
+  }
+  if (!baseResume) throw { code: 'NO_RESUME', message: 'No base resume found. Upload your resume in Settings.' };
+
+  // Get preference summary from career memory
+  const memory = await readMemory();
+  const inventory = useInventory ? normalizeInventory(settings.ros_inventory || { roles: [] }).inventory : null;
+  const skillPacks = settings.ros_skillPacks || { auto: true, active: [] };
+  return {
+    provider,
+    baseResume,
+    preferenceSummary: memory.aggregate.preferenceSummary,
+    inventory: hasInventory(inventory) ? inventory : null,
+    customSkills: normalizeSkillDictionary(settings.ros_skillDictionary || { skills: [] }).dictionary.skills,
+    packs: skillPacks.auto ? detectSkillPacks(baseResume) : skillPacks.active,
+  };
+}
+
+// Resume profiles [{ id, name, text, json, jsonEdited }], the first being
+// the default. jsonEdited: json was corrected by hand (see profileText).
+// Installs from before profiles have one ros_baseResume (and maybe its
+// parsed ros_baseResumeJson) — that becomes the "Main" profile.
+function readProfiles(settings) {
+  const profiles = settings.ros_resumeProfiles?.length
+    ? settings.ros_resumeProfiles
+    : settings.ros_baseResume
+      ? [{ id: 'main', name: 'Main', text: settings.ros_baseResume, json: settings.ros_baseResumeJson }]
+      : [];
+  return profiles.map(p => ({ ...p, json: p.json || structureResume(p.text) }));
+}
+
+// The content script is declared for profile URLs, but LinkedIn navigates
+// without page loads, so a profile reached from the feed has none yet —
+// inject it once and ask again.
+async function requestFromContentScript(tabId, action) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, { action });
+  } catch (e) {
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['dist/content.js'] });
+    return chrome.tabs.sendMessage(tabId, { action });
+  }
+}
+
+// Provider config — stored fields + catalog defaults
+async function getProviderConfig() {
+  const settings = await chromeStorageGet(['ros_provider', 'ros_apiKey', 'ros_apiKeys', 'ros_baseUrl', 'ros_model']);
+  return buildProviderConfig({
+    provider: settings.ros_provider,
+    apiKey: readApiKeys(settings)[settings.ros_provider || 'gemini'],
+    baseUrl: settings.ros_baseUrl,
+    model: settings.ros_model,
+  });
+}
+
+// API keys per provider id. WHY not one key: a Gemini key must never reach
+// an OpenAI-compatible base URL the user typed in. Installs from before
+// this have one ros_apiKey — it belongs to the provider saved with it.
+function readApiKeys(settings) {
+  if (settings.ros_apiKeys) return settings.ros_apiKeys;
+  return settings.ros_apiKey ? { [settings.ros_provider || 'gemini']: settings.ros_apiKey } : {};
+}
+
 // Storage helpers
 
 function chromeStorageGet(keys) {
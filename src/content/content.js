@@ -13,6 +13,7 @@
 
 import { extractLinkedInJob } from './extractors/linkedin.js';
 import { extractIndeedJob } from './extractors/indeed.js';
+import { extractLinkedInProfile } from './extractors/linkedin-profile.js';
 
 const DEBOUNCE_MS = 800;
 let debounceTimer = null;
@@ -22,7 +23,7 @@ let badgeEl = null;
 //Determine which extractor to use
 function getExtractor() {
   const host = window.location.hostname;
-  if (host.includes('linkedin.com')) return extractLinkedInJob;
+  if (host.includes('linkedin.com')) return window.location.pathname.startsWith('/in/') ? null : extractLinkedInJob;
   if (host.includes('indeed.com')) return extractIndeedJob;
   return null;
 }
@@ -52,6 +53,14 @@ function tryExtract() {
   showBadge(job);
 }
 
+// ─── Profile import ───────────────────────────────────────────────────────
+// Settings → Import LinkedIn profile asks (through background.js) for the
+// profile open in this tab. Only answered on request — profiles aren't jobs.
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== 'EXTRACT_LINKEDIN_PROFILE') return;
+  sendResponse(extractLinkedInProfile());
+});
+
 // ─── MutationObserver setup ───────────────────────────────────────────────
 const observer = new MutationObserver(() => {
   clearTimeout(debounceTimer);
@@ -0,0 +1,31 @@
+// block-text.js — An element's text with its line structure kept
+//
+// WHY not textContent:
+//   textContent joins <p>, <li> and <h2> with no separator at all, so a
+//   posting reads "About the jobWe are...Requirements5+ years of Go" — one
+//   line, and jd-parser.js finds its sections by line. innerText follows the
+//   rendered layout and keeps a break between blocks; when the element isn't
+//   rendered (a collapsed "See more" panel) innerText falls back to the flat
+//   textContent, so the block breaks are put back by hand.
+
+const BLOCKS = 'p, li, div, section, ul, ol, tr, h1, h2, h3, h4, h5, h6';
+
+export function blockText(el) {
+  const rendered = el.innerText;
+  if (rendered?.includes('\n')) return tidy(rendered);
+
+  const clone = el.cloneNode(true);
+  clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+  clone.querySelectorAll('li').forEach(li => li.prepend('• '));
+  clone.querySelectorAll(BLOCKS).forEach(block => block.append('\n'));
+  return tidy(clone.textContent);
+}
+
+function tidy(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -1,5 +1,7 @@
 // indeed.js — Extract job data from Indeed job listing pages
 
+import { blockText } from './block-text.js';
+
 export function extractIndeedJob() {
   const job = {
     title: extractTitle(),
@@ -73,7 +75,8 @@ function extractDescription() {
   for (const sel of selectors) {
     const el = document.querySelector(sel);
     if (el?.textContent?.trim().length > 100) {
-      return el.textContent.trim();
+      // Line breaks between paragraphs and list items are what the JD parser splits on
+      return blockText(el);
     }
   }
   return null;
@@ -0,0 +1,160 @@
+// linkedin-profile.js — Extract the resume sections of a LinkedIn profile page
+//
+// WHY anchor ids and aria-hidden spans instead of class names:
+//   Same problem as the job extractor — LinkedIn's class names change
+//   without notice. Two things have stayed put: each profile section is a
+//   <section> holding an anchor div with a stable id (#experience,
+//   #education, #skills, #about), and every visible line of text is a
+//   <span aria-hidden="true"> (its screen-reader twin is .visually-hidden).
+//   Reading those spans in order gives each entry's lines without knowing
+//   the markup around them.
+//
+// Returns { resume, notes } in the structured resume shape, or null when
+// this isn't a profile page. Runs on request only (the Settings import
+// button), never on page load.
+
+const DATE_LINE = /(?:\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+)?(?:19|20)\d{2}\s*(?:[-–—]\s*(?:(?:\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+)?(?:19|20)\d{2}|present))?/i;
+const BULLET_GLYPH = /^\s*(?:[•●▪■◦‣∙·*–—-]|\d{1,2}[.)])\s+/;
+
+export function extractLinkedInProfile() {
+  const name = firstText(['main h1', '.pv-text-details__left-panel h1', 'h1']);
+  if (!name) return null;
+
+  const notes = [];
+  const resume = {
+    name,
+    email: '',
+    phone: '',
+    location: firstText([
+      '.pv-text-details__left-panel .text-body-small.inline',
+      'main section .text-body-small.inline.t-black--light',
+    ]),
+    linkedin: window.location.href.match(/https:\/\/(?:www\.)?linkedin\.com\/in\/[^/?#]+/)?.[0] || '',
+    summary: sectionLines('about').join(' ').replace(/\s+/g, ' ').trim(),
+    experience: extractExperience(),
+    skills: [],
+    education: extractEducation(),
+  };
+
+  // "Skills: Go · Kafka" lines under roles, then the Skills section
+  const roleSkills = resume.experience.flatMap(job => job.skills);
+  const sectionSkills = sectionItems('skills').map(item => lines(item)[0]).filter(Boolean);
+  resume.skills = [...new Set([...sectionSkills, ...roleSkills])];
+  resume.experience = resume.experience.map(({ skills, ...job }) => job);
+
+  for (const id of ['experience', 'education', 'skills']) {
+    if (!section(id)) notes.push(`No ${id} section found — scroll down the profile so it loads, then import again`);
+    else if (section(id).querySelector(`a[href*="/details/${id}"]`)) {
+      notes.push(`LinkedIn shows only part of your ${id} here — check the preview for anything missing`);
+    }
+  }
+  notes.push('LinkedIn doesn\'t show your email or phone on the page — add them in the Structured Resume form');
+
+  return { resume, notes };
+}
+
+// ─── Experience ──────────────────────────────────────────────────────────────
+// A single role's lines: title, "Company · Full-time", "Jan 2020 - Present ·
+// 4 yrs", location, description. Several roles at one company are one entry:
+// company first, then a nested list with a title / dates / description each.
+function extractExperience() {
+  return sectionItems('experience').flatMap((item) => {
+    const nested = [...item.querySelectorAll('li')].filter(li => lines(li).some(isDateLine));
+    if (nested.length > 0) {
+      const company = lines(item)[0] || '';
+      return nested.map(li => parseRole(lines(li), { company }));
+    }
+    return [parseRole(lines(item))];
+  });
+}
+
+function parseRole([title = '', ...rest], { company = null } = {}) {
+  const dateIndex = rest.findIndex(isDateLine);
+  const header = dateIndex >= 0 ? rest.slice(0, dateIndex) : rest.slice(0, 1);
+  const body = dateIndex >= 0 ? rest.slice(dateIndex + 1) : rest.slice(1);
+
+  const skills = [];
+  const bullets = [];
+  body.forEach((line, i) => {
+    const tagged = line.match(/^skills:\s*(.*)$/i);
+    if (tagged) {
+      skills.push(...tagged[1].split(/\s*[·,]\s*|\s+and\s+/).map(s => s.replace(/\s*\+\d+ skills?$/i, '').trim()).filter(Boolean));
+    } else if (!(i === 0 && isLocationLine(line))) {
+      bullets.push(...line.split('\n').map(l => l.replace(BULLET_GLYPH, '').trim()).filter(Boolean));
+    }
+  });
+
+  return {
+    company: company ?? (header[0] || '').split(' · ')[0].trim(),
+    title,
+    dates: dateIndex >= 0 ? formatDates(rest[dateIndex]) : '',
+    bullets: bullets.map(text => ({ text, authentic: true })),
+    skills,
+  };
+}
+
+// ─── Education ───────────────────────────────────────────────────────────────
+// School, "BS, Computer Science", "2013 - 2017", then grades / activities
+function extractEducation() {
+  return sectionItems('education').map((item) => {
+    const [institution = '', ...rest] = lines(item);
+    const dateIndex = rest.findIndex(isDateLine);
+    const degree = dateIndex === 0 ? '' : rest[0] || '';
+    return { institution, degree, dates: dateIndex >= 0 ? formatDates(rest[dateIndex]) : '' };
+  }).filter(ed => ed.institution);
+}
+
+// ─── Line helpers ────────────────────────────────────────────────────────────
+function isDateLine(line) {
+  return DATE_LINE.test(line) && line.length < 60 && !/[.!]$/.test(line);
+}
+
+// "Austin, Texas, United States · Remote" — short, no sentence punctuation
+function isLocationLine(line) {
+  return line.length <= 60 && !line.includes('\n') && !/[.!]$/.test(line) && !BULLET_GLYPH.test(line);
+}
+
+// "Jan 2020 - Present · 4 yrs 2 mos" → "Jan 2020 – Present"
+function formatDates(line) {
+  return line.split(' · ')[0].replace(/\s*[-–—]\s*/, ' – ').trim();
+}
+
+// ─── DOM helpers ─────────────────────────────────────────────────────────────
+function section(id) {
+  return document.getElementById(id)?.closest('section') || null;
+}
+
+// Entries of a section: its outermost list items
+function sectionItems(id) {
+  const root = section(id);
+  if (!root) return [];
+  return [...root.querySelectorAll('li')].filter((li) => {
+    const parent = li.parentElement?.closest('li');
+    return (!parent || !root.contains(parent)) && lines(li).length > 0;
+  });
+}
+
+function sectionLines(id) {
+  const root = section(id);
+  return root ? lines(root).slice(1) : []; // the first line is the section title
+}
+
+// Visible text lines in document order, with LinkedIn's repeated lines removed.
+// innerText keeps the <br> line breaks of a role description.
+function lines(root) {
+  const out = [];
+  for (const span of root.querySelectorAll('span[aria-hidden="true"]')) {
+    if (span.parentElement?.closest('span[aria-hidden="true"]')) continue;
+    const text = (span.innerText || span.textContent || '').trim();
+    if (text && out[out.length - 1] !== text) out.push(text);
+  }
+  return out;
+}
+
+function firstText(selectors) {
+  for (const sel of selectors) {
+    const el = document.querySelector(sel);
+    if (el?.textContent?.trim()) return el.textContent.trim();
+  }
+  return '';
+}
@@ -6,6 +6,8 @@
 //   We try 3+ selectors per field in order of specificity, falling back to
 //   increasingly broad approaches.
 
+import { blockText } from './block-text.js';
+
 export function extractLinkedInJob() {
   const job = {
     title: extractTitle(),
@@ -88,7 +90,8 @@ function extractDescription() {
   for (const sel of selectors) {
     const el = document.querySelector(sel);
     if (el?.textContent?.trim().length > 100) {
-      return el.textContent.trim();
+      // Line breaks between paragraphs and list items are what the JD parser splits on
+      return blockText(el);
     }
   }
   return null;
@@ -1,16 +1,25 @@
 // sidepanel.js — Main side panel controller
-import { analyzeKeywords } from '../utils/keywords.js';
+import {
+  analyzeKeywords, analyzePlacement, compareKeywordAnalyses, detectSkillPacks,
+  normalizeSkillDictionary, SKILL_CATEGORIES,
+} from '../utils/keywords.js';
+import { resumeToText, profileText } from '../utils/resume-text.js';
+import { lintResume, LINT_RULES } from '../utils/bullet-lint.js';
+import { structureResume } from '../utils/resume-structure.js';
+import {
+  normalizeInventory, inventoryToText, hasInventory, parseTaggedLines, formatTaggedLines,
+} from '../utils/inventory.js';
+import { SKILL_PACKS } from '../utils/skill-packs.js';
+import { getProviderInfo, buildProviderConfig } from '../utils/providers/catalog.js';
+import { alignBullets, diffWords } from '../utils/diff.js';
+import { planJobPrompt, SECTION_LABELS } from '../utils/jd-parser.js';
 
 // ─── Keyword compatibility adapter (NEW ENGINE → OLD UI) ──────────────────
 function flattenKeywordAnalysis(analysis) {
   if (!analysis) return { matched: [], missing: [], jdKeywords: [] };
   return {
-    matched: analysis.approvedKeywords || [],
-    missing: [
-      ...(analysis.hardSkills?.skills  || []).filter(s => s.status === 'missing').map(s => s.name),
-      ...(analysis.softSkills?.skills  || []).filter(s => s.status === 'missing').map(s => s.name),
-      ...(analysis.otherSkills?.skills || []).filter(s => s.status === 'missing').map(s => s.name),
-    ],
+    matched: analysis.matchedKeywords || [],
+    missing: analysis.missingKeywords || [],
     jdKeywords: analysis.jdKeywords || [],
   };
 }
@@ -21,11 +30,32 @@ let state = {
   detectedJob: null,
   currentJob: null,
   keywordAnalysis: null,
+  keywordContext: null,    // { jobDescription, options } keywordAnalysis ran with
+  scoreDelta: null,        // compareKeywordAnalyses(base, tailored) for pendingResume
   pendingResume: null,
   pendingDocx: null,
   pendingSessionData: null,
   isLoading: false,
+  tailorController: null, // AbortController for the in-flight TAILOR_RESUME
+  fragmentController: null, // AbortController for the in-flight REGENERATE_FRAGMENT
+  verification: null,      // verify.js report for pendingResume (restored / unverified fields)
+  diffMode: false,         // preview shows base-vs-tailored diff instead of the editor
+  baseResumeText: null,    // tailored-from profile's text, cached for the diff view; null = not loaded yet
+  profiles: [],            // Settings draft of the resume profiles [{ id, name, text, json, jsonEdited }]
+  settingsProfileId: null, // profile open in Settings
+  profileChoice: 'auto',   // Tailor tab picker: 'auto' or a profile id
+  profileId: null,         // profile the keyword analysis picked / was told to use
+  tailorProfileId: null,   // profile pendingResume was tailored from
+  skillDictionary: { version: 1, skills: [] }, // Settings → Custom Skills
+  inventory: { version: 1, roles: [] }, // Settings → Achievement Bank
+  useInventory: true,      // Tailor tab: pick bullets from the bank (when it has any)
+  tailorUsedInventory: false, // pendingResume was tailored in bank mode
+  pendingImport: null,     // JSON Resume / Markdown / LinkedIn import awaiting confirmation
+  avoidVerbs: [],          // career memory's rejected openers, fed to the bullet linter
   activeTab: 'tailor',
+  provider: 'gemini',
+  apiKeys: {},             // Settings draft of the API key per provider id
+  apiKeyProvider: 'gemini', // provider whose key the API key field shows
 };
 
 // ─── DOM refs ─────────────────────────────────────────────────────────────
@@ -53,18 +83,33 @@ const els = {
   scoreRing: $('scoreRing'),
   scoreValue: $('scoreValue'),
   scoreSubtext: $('scoreSubtext'),
+  requirementCards: $('requirementCards'),
   keywordTags: $('keywordTags'),
+  jdBreakdownSummary: $('jdBreakdownSummary'),
+  jdBreakdownList: $('jdBreakdownList'),
   tailorBtnSection: $('tailorBtnSection'),
   tailorBtn: $('tailorBtn'),
   tailorBtnText: $('tailorBtnText'),
   loadingState: $('loadingState'),
+  loadingText: $('loadingText'),
+  loadingSub: $('loadingSub'),
+  streamPreview: $('streamPreview'),
+  cancelTailorBtn: $('cancelTailorBtn'),
+  cancelRegenBtn: $('cancelRegenBtn'),
   errorState: $('errorState'),
   errorMsg: $('errorMsg'),
   errorRetryBtn: $('errorRetryBtn'),
   previewState: $('previewState'),
   resumePreview: $('resumePreview'),
+  previewError: $('previewError'),
+  previewHint: $('previewHint'),
+  diffToggleBtn: $('diffToggleBtn'),
   authenticityWarn: $('authenticityWarn'),
   authenticityWarnText: $('authenticityWarnText'),
+  scoreDelta: $('scoreDelta'),
+  placementReport: $('placementReport'),
+  placementSummary: $('placementSummary'),
+  placementList: $('placementList'),
   downloadBtn: $('downloadBtn'),
   regenerateBtn: $('regenerateBtn'),
   filenamePreview: $('filenamePreview'),
@@ -72,6 +117,14 @@ const els = {
   historyList: $('historyList'),
   setupBanner: $('setupBanner'),
   settingsName: $('settingsName'),
+  settingsProvider: $('settingsProvider'),
+  providerHint: $('providerHint'),
+  providerEndpointGroup: $('providerEndpointGroup'),
+  settingsBaseUrl: $('settingsBaseUrl'),
+  settingsModel: $('settingsModel'),
+  apiKeyLabel: $('apiKeyLabel'),
+  apiKeyHint: $('apiKeyHint'),
+  apiKeyGroup: $('apiKeyGroup'),
   settingsApiKey: $('settingsApiKey'),
   toggleApiKeyVisibility: $('toggleApiKeyVisibility'),
   keyVisIcon: $('keyVisIcon'),
@@ -80,8 +133,47 @@ const els = {
   resumeStatusIcon: $('resumeStatusIcon'),
   resumeStatusText: $('resumeStatusText'),
   resumeError: $('resumeError'),
+  linkedinImportBtn: $('linkedinImportBtn'),
+  importPreview: $('importPreview'),
+  importPreviewTitle: $('importPreviewTitle'),
+  importPreviewNotes: $('importPreviewNotes'),
+  importPreviewBody: $('importPreviewBody'),
+  importConfirmBtn: $('importConfirmBtn'),
+  importCancelBtn: $('importCancelBtn'),
   resumeFileInput: $('resumeFileInput'),
   resumePasteArea: $('resumePasteArea'),
+  baseLintReport: $('baseLintReport'),
+  baseLintSummary: $('baseLintSummary'),
+  baseLintList: $('baseLintList'),
+  settingsProfileSelect: $('settingsProfileSelect'),
+  settingsProfileName: $('settingsProfileName'),
+  profileAddBtn: $('profileAddBtn'),
+  profileDeleteBtn: $('profileDeleteBtn'),
+  profilePicker: $('profilePicker'),
+  profileSelect: $('profileSelect'),
+  profileHint: $('profileHint'),
+  inventoryToggle: $('inventoryToggle'),
+  useInventory: $('useInventory'),
+  structuredResumeGroup: $('structuredResumeGroup'),
+  structuredResumeForm: $('structuredResumeForm'),
+  reparseResumeBtn: $('reparseResumeBtn'),
+  inventoryForm: $('inventoryForm'),
+  inventoryAddBtn: $('inventoryAddBtn'),
+  inventorySeedBtn: $('inventorySeedBtn'),
+  inventoryImportInput: $('inventoryImportInput'),
+  inventoryExportBtn: $('inventoryExportBtn'),
+  inventoryError: $('inventoryError'),
+  skillPacksAuto: $('skillPacksAuto'),
+  skillPackList: $('skillPackList'),
+  skillPacksHint: $('skillPacksHint'),
+  skillDictList: $('skillDictList'),
+  skillDictName: $('skillDictName'),
+  skillDictCategory: $('skillDictCategory'),
+  skillDictAliases: $('skillDictAliases'),
+  skillDictAddBtn: $('skillDictAddBtn'),
+  skillDictImportInput: $('skillDictImportInput'),
+  skillDictExportBtn: $('skillDictExportBtn'),
+  skillDictError: $('skillDictError'),
   saveSettingsBtn: $('saveSettingsBtn'),
   saveSettingsBtnText: $('saveSettingsBtnText'),
   clearMemoryBtn: $('clearMemoryBtn'),
@@ -111,29 +203,39 @@ async function init() {
 
 // ─── Load settings ─────────────────────────────────────────────────────────
 async function loadSettings() {
-  const { data } = await msg('GET_SETTINGS');
+  const [{ data }, { data: dictionary }, { data: inventory }] = await Promise.all([
+    msg('GET_SETTINGS'), msg('GET_SKILL_DICTIONARY'), msg('GET_INVENTORY'),
+  ]);
+  if (dictionary) state.skillDictionary = dictionary;
+  if (inventory) state.inventory = inventory;
+  renderSkillDictionary();
+  renderInventory();
   if (!data) return;
 
   state.onboardingDone = data.onboardingDone;
   els.settingsName.value = data.name || '';
+  state.apiKeys = { ...data.apiKeys };
+  state.apiKeyProvider = data.provider || 'gemini';
   els.settingsApiKey.value = data.apiKey || '';
-
-  if (data.baseResumeText) {
-    els.resumeStatus.classList.remove('hidden');
-    els.resumeStatus.classList.add('has-resume');
-    els.resumeStatusIcon.textContent = '✓';
-    els.resumeStatusText.textContent = 'Base resume loaded';
-  }
+  els.settingsProvider.value = data.provider || 'gemini';
+  els.settingsBaseUrl.value = data.baseUrl || '';
+  els.settingsModel.value = data.model || '';
+  state.provider = data.provider || 'gemini';
+  state.profiles = data.profiles.length ? data.profiles : [newProfile('Main')];
+  updateProviderFields();
+  openSettingsProfile(state.profiles[0].id);
+  renderSkillPacks(data.skillPacks);
 
   updateStatusBadge(data);
 }
 
 function updateStatusBadge(settings) {
-  const { onboardingDone, apiKey } = settings || {};
-  if (!onboardingDone || !apiKey) {
+  const { onboardingDone, apiKey, provider } = settings || {};
+  const info = getProviderInfo(provider);
+  if (!onboardingDone || (info.needsKey && !apiKey)) {
     setStatus('Setup needed', 'amber');
   } else {
-    setStatus('Gemini connected', 'green');
+    setStatus(`${info.label} connected`, 'green');
   }
 }
 
@@ -199,42 +301,138 @@ function setupJobListeners() {
     }, 600);
   });
 
+  els.profileSelect.addEventListener('change', handleProfileChoice);
+  els.useInventory.addEventListener('change', () => { state.useInventory = els.useInventory.checked; });
   els.tailorBtn.addEventListener('click', handleTailorClick);
   els.downloadBtn.addEventListener('click', handleDownloadClick);
   els.regenerateBtn.addEventListener('click', handleRegenerateClick);
   els.errorRetryBtn.addEventListener('click', handleTailorClick);
+  els.cancelTailorBtn.addEventListener('click', handleCancelClick);
+  els.cancelRegenBtn.addEventListener('click', () => state.fragmentController?.abort());
+  els.diffToggleBtn.addEventListener('click', handleDiffToggle);
+  els.resumePreview.addEventListener('click', (e) => {
+    const regen = e.target.closest('[data-regen]');
+    if (regen) return handleRegenerateFragment(regen);
+    const review = e.target.closest('[data-review]');
+    if (review) return handleReviewAction(review);
+    const edit = e.target.closest('[data-edit]');
+    if (edit) handleEditAction(edit);
+  });
+  els.resumePreview.addEventListener('input', handlePreviewInput);
+  els.resumePreview.addEventListener('focusout', handlePreviewBlur);
+  els.resumePreview.addEventListener('keydown', handlePreviewKeydown);
 }
 
 // ─── Skill Gap Analysis (browser-only, zero API calls) ────────────────────
 async function runKeywordAnalysis(jobDescription) {
-  const { data } = await msg('GET_SETTINGS');
+  const [{ data }, { data: memoryData }] = await Promise.all([msg('GET_SETTINGS'), msg('GET_MEMORY')]);
 
-  if (!data?.baseResumeText) {
+  const profiles = (data?.profiles || []).filter(p => p.text);
+  if (profiles.length === 0) {
     els.tailorBtn.disabled = false;
     return;
   }
 
-  const analysis = analyzeKeywords(jobDescription, data.baseResumeText);
+  // Title / company / location only describe this text if it's the detected posting
+  const job = state.detectedJob?.description === jobDescription ? state.detectedJob : {};
+
+  // Past JDs weight term discovery; the employer's own name is never a keyword
+  const options = {
+    corpus: memoryData?.memory?.jdCorpus || [],
+    exclude: [job.company].filter(Boolean),
+    job: { title: job.title, location: job.location },
+    customSkills: state.skillDictionary.skills,
+  };
+
+  // Auto scores every profile and keeps the best match; a picked profile
+  // that has since been deleted falls back to auto
+  const picked = profiles.filter(p => p.id === state.profileChoice);
+  const scored = (picked.length ? picked : profiles).map((profile) => {
+    const text = profileText(profile);
+    const profileOptions = { ...options, packs: activeSkillPacks(data, text) };
+    return { profile, options: profileOptions, analysis: analyzeKeywords(jobDescription, text, profileOptions) };
+  });
+  const best = scored.reduce((a, b) => (b.analysis.score.overall > a.analysis.score.overall ? b : a));
+
+  const { analysis } = best;
+  state.profileId = best.profile.id;
   state.keywordAnalysis = analysis;
+  state.avoidVerbs = memoryData?.memory?.aggregate?.rejectedVerbs || [];
+  // Kept so the tailored resume is scored exactly the same way
+  state.keywordContext = { jobDescription, options: best.options };
 
+  renderProfilePicker(profiles, picked.length ? null : scored);
+  renderInventoryToggle();
+
+  renderScore(analysis);
+  renderRequirements(analysis.requirements);
   renderSkillGapUI(analysis);
+  renderJobBreakdown(analysis.jobStructure);
 
   els.keywordSection.classList.remove('hidden');
   els.tailorBtn.disabled = false;
 }
 
+// ─── Score ring ────────────────────────────────────────────────────────────
+function renderScore({ score, hardSkills, packs }) {
+  els.scoreValue.textContent = `${score.overall}%`;
+  els.scoreRing.classList.remove('low', 'mid', 'high');
+  els.scoreRing.classList.add(score.overall >= 70 ? 'high' : score.overall >= 45 ? 'mid' : 'low');
+
+  const { categories } = score.weights;
+  els.scoreRing.title = [
+    score.skills === null
+      ? 'Skills: none of the known skills appear in this posting'
+      : `Skills: ${score.skills}% (weighted hard ×${categories.hard}, soft ×${categories.soft}, other ×${categories.other}; required ×1.5)`,
+    `Text similarity: ${score.text}% (TF-IDF cosine ${score.cosine})`,
+    score.skills === null
+      ? `Overall = text similarity = ${score.overall}%`
+      : `Overall = ${score.weights.skills * 100}% skills + ${score.weights.text * 100}% text = ${score.overall}%`,
+    ...(packs.length ? [`Skill packs: ${packs.map(id => SKILL_PACKS[id].label).join(', ')}`] : []),
+  ].join('\n');
+
+  const hardMatched = hardSkills.skills.filter(s => s.status === 'matched').length;
+  els.scoreSubtext.textContent = hardSkills.total > 0
+    ? `${hardMatched} of ${hardSkills.total} hard skills matched · text similarity ${score.text}%`
+    : `Text similarity ${score.text}% · no known hard skills in this posting`;
+}
+
+// ─── Requirement cards ─────────────────────────────────────────────────────
+// Hard filters outside the skill match (requirements.js). Gaps first.
+const REQUIREMENT_ORDER = { gap: 0, info: 1, pass: 2 };
+const REQUIREMENT_ICONS = { pass: '✓', gap: '!', info: 'i' };
+
+function renderRequirements({ checks }) {
+  els.requirementCards.innerHTML = [...checks]
+    .sort((a, b) => REQUIREMENT_ORDER[a.status] - REQUIREMENT_ORDER[b.status])
+    .map(check => `
+      <div class="requirement-card ${check.status}">
+        <span class="requirement-icon">${REQUIREMENT_ICONS[check.status]}</span>
+        <div class="requirement-body">
+          <div class="requirement-label">${esc(check.label)} · <span class="requirement-ask">${esc(check.required)}</span></div>
+          <div class="requirement-found">${esc(check.found)}</div>
+        </div>
+      </div>`)
+    .join('');
+}
+
 // ─── Skill Gap Renderer ────────────────────────────────────────────────────
 function renderSkillGapUI(analysis) {
   els.keywordTags.innerHTML = '';
   renderImpactBlock('High Impact',   'Hard Skills',  analysis.hardSkills);
   renderImpactBlock('Medium Impact', 'Soft Skills',  analysis.softSkills);
   renderImpactBlock('Low Impact',    'Other Skills', analysis.otherSkills);
+  renderImpactBlock(analysis.discoveredTerms.impact, analysis.discoveredTerms.title, analysis.discoveredTerms, 'discovered');
 }
 
+// Missing skills the JD lists as required come first
+const PRIORITY_ORDER = { required: 0, preferred: 1, mentioned: 2 };
+
 function renderImpactBlock(impactLabel, title, data, level) {
   const skills  = data?.skills || [];
-  const missing = skills.filter(s => s.status === 'missing').map(s => s.name);
-  const matched = skills.filter(s => s.status === 'matched').map(s => s.name);
+  const missing = skills.filter(s => s.status === 'missing')
+    .sort((a, b) => PRIORITY_ORDER[a.priority] - PRIORITY_ORDER[b.priority]);
+  const matched = skills.filter(s => s.status === 'matched');
 
   const container = document.createElement('div');
   container.className = `impact-block ${level}`;
@@ -249,30 +447,64 @@ function renderImpactBlock(impactLabel, title, data, level) {
   if (missing.length > 0) {
     const desc = document.createElement('div');
     desc.className = 'impact-desc';
-    desc.textContent = `${missing.length} ${title} Not Found: Adding these will significantly improve alignment.`;
+    desc.textContent = level === 'discovered'
+      ? `${missing.length} not in your resume. Outside the skill dictionary — add only what you've actually used.`
+      : `${missing.length} ${title} Not Found: Adding these will significantly improve alignment.`;
     container.appendChild(desc);
   }
 
   const tagWrap = document.createElement('div');
   tagWrap.className = 'impact-tags';
 
-  missing.forEach(skill => {
-    const tag = document.createElement('span');
-    tag.className = 'kw-tag missing';
-    tag.textContent = skill;
-    tagWrap.appendChild(tag);
-  });
-  matched.forEach(skill => {
+  const addTag = (skill) => {
     const tag = document.createElement('span');
-    tag.className = 'kw-tag matched';
-    tag.textContent = skill;
+    tag.className = `kw-tag ${skill.status} ${skill.priority}`;
+    tag.textContent = skill.name;
+    tag.title = skillEvidenceTitle(skill);
     tagWrap.appendChild(tag);
-  });
+  };
+  missing.forEach(addTag);
+  matched.forEach(addTag);
 
   container.appendChild(tagWrap);
   els.keywordTags.appendChild(container);
 }
 
+// Tooltip: where the posting asks for the skill and where the resume has
+// it — an alias match ("k8s" for Kubernetes) is obvious at a glance
+function skillEvidenceTitle(skill) {
+  const quote = e => `"${e.before}${e.match}${e.after}"`;
+  const lines = [];
+  if (skill.priority !== 'mentioned') lines.push(`Listed under ${skill.priority} in this posting`);
+  if (skill.evidence?.jd?.[0])     lines.push(`Job: ${quote(skill.evidence.jd[0])}`);
+  if (skill.evidence?.resume?.[0]) lines.push(`Your resume: ${quote(skill.evidence.resume[0])}`);
+  else if (skill.status === 'missing') lines.push('Not found in your resume');
+  return lines.join('\n');
+}
+
+// ─── Job breakdown ─────────────────────────────────────────────────────────
+// The JD sections jd-parser.js found, and which of them the prompt includes.
+// Same planJobPrompt call the background makes, so this is what the AI sees.
+const USE_LABELS = { full: 'sent to AI', trimmed: 'sent (trimmed)', dropped: 'not sent' };
+
+function renderJobBreakdown(jobStructure) {
+  const { sections } = planJobPrompt(jobStructure);
+  const sent = sections.filter(s => s.use !== 'dropped').length;
+  els.jdBreakdownSummary.textContent = `· ${sent} of ${sections.length} section${sections.length === 1 ? '' : 's'} sent to AI`;
+
+  els.jdBreakdownList.innerHTML = sections.map(s => {
+    const preview = s.text.length > 160 ? `${s.text.slice(0, 160)}…` : s.text;
+    return `<div class="jd-section ${s.use}">
+      <div class="jd-section-head">
+        <span class="jd-section-type">${esc(SECTION_LABELS[s.type])}</span>
+        ${s.heading ? `<span class="jd-section-heading">${esc(s.heading)}</span>` : ''}
+        <span class="jd-section-use">${USE_LABELS[s.use]}</span>
+      </div>
+      <div class="jd-section-text">${esc(preview)}</div>
+    </div>`;
+  }).join('');
+}
+
 // ─── Resolve current job ───────────────────────────────────────────────────
 function resolveJobDescription() {
   const pastedText = els.jobDescTextarea.value.trim();
@@ -303,22 +535,92 @@ async function handleTailorClick() {
   showLoading();
 
   try {
-    const { data, error } = await msg('TAILOR_RESUME', {
-      jobDescription: job.description,
-    });
+    const response = await requestTailoring(job.description);
+    if (!response) return; // cancelled
 
+    const { data, error } = response;
     if (error) throw error;
 
     state.pendingResume = data.resume;
+    state.verification  = data.verification;
     showPreview(data.resume, job);
   } catch (err) {
     showError(err); // pass object, not string — showError handles both
   }
 }
 
+// ─── Tailoring request + cancel ────────────────────────────────────────────
+// Resolves to null when cancelled, so a late response can never overwrite
+// state.pendingResume after the user has moved on.
+async function requestTailoring(jobDescription) {
+  state.tailorController?.abort();
+  state.fragmentController?.abort(); // its result would be dropped anyway
+  const controller = new AbortController();
+  state.tailorController = controller;
+
+  // The diff view and regenerate calls stay on this profile (and bank mode)
+  // even if the picker changes
+  state.tailorProfileId = state.profileId;
+  state.tailorUsedInventory = state.useInventory && hasInventory(state.inventory);
+  state.baseResumeText = null;
+
+  const response = await msgStream('TAILOR_RESUME', {
+    jobDescription,
+    profileId: state.tailorProfileId,
+    useInventory: state.tailorUsedInventory,
+  }, {
+    ...streamHandlers(),
+    signal: controller.signal,
+  });
+
+  if (controller.signal.aborted) return null;
+  state.tailorController = null;
+  return response;
+}
+
+// Aborting closes the port, which aborts the AI call in background.js
+function handleCancelClick() {
+  state.tailorController?.abort();
+  state.tailorController = null;
+  hideAll();
+}
+
+// ─── Streaming preview ─────────────────────────────────────────────────────
+// Sections render as soon as they're parseable: summary first, then each
+// experience block. The final, validated resume replaces this in showPreview.
+function streamHandlers() {
+  return {
+    onPartial: (resume) => {
+      els.loadingState.classList.add('streaming');
+      els.streamPreview.classList.remove('hidden');
+      els.streamPreview.innerHTML = renderResumePreview(resume);
+      els.streamPreview.scrollTop = els.streamPreview.scrollHeight;
+    },
+    onStatus: (message) => {
+      els.loadingSub.textContent = message;
+    },
+  };
+}
+
 // ─── Preview ──────────────────────────────────────────────────────────────
 function showPreview(resume, job) {
   hideAll();
+  renderPreview(resume);
+
+  const name    = (resume.name   || 'Resume').split(' ')[0];
+  const company = (job.company   || 'Company').replace(/\s/g, '');
+  const role    = (job.title     || 'Role').replace(/\s/g, '');
+  const date    = new Date().toISOString().split('T')[0];
+  els.filenamePreview.textContent = `↓ ${name}_${company}_${role}_${date}.docx`;
+
+  els.previewState.classList.remove('hidden');
+  els.previewState.classList.add('fade-in');
+}
+
+// Preview body + authenticity banner. Re-run after any change to
+// state.pendingResume that doesn't need the full state transition.
+function renderPreview(resume) {
+  els.previewError.classList.add('hidden');
 
   let inauthCount = 0;
   for (const exp of resume.experience || []) {
@@ -327,54 +629,94 @@ function showPreview(resume, job) {
     }
   }
 
+  // Flagged bullets come from the model's own f:1 and from verify.js;
+  // identity fields can't be flagged in place, so they're listed here
+  const notes = [];
   if (inauthCount > 0) {
+    notes.push(`${inauthCount} bullet${inauthCount > 1 ? 's' : ''} flagged — AI may have added content not in your original resume.`);
+  }
+  const { restored = [], unverified = [] } = state.verification || {};
+  if (restored.length > 0) {
+    notes.push(`${restored.length} detail${restored.length > 1 ? 's' : ''} (employer, title, dates, school) reset to match your resume.`);
+  }
+  if (unverified.length > 0) {
+    notes.push(`Not found in your resume: ${unverified.map(u => `"${u.value}"`).join(', ')}.`);
+  }
+
+  if (notes.length > 0) {
     els.authenticityWarn.style.display = 'flex';
-    els.authenticityWarnText.textContent =
-      `${inauthCount} bullet${inauthCount > 1 ? 's' : ''} flagged — AI may have added content not in your original resume. Verify before sending.`;
+    els.authenticityWarnText.textContent = `${notes.join(' ')} Verify before sending.`;
   } else {
     els.authenticityWarn.style.display = 'none';
   }
 
-  els.resumePreview.innerHTML = renderResumePreview(resume);
-
-  const name    = (resume.name   || 'Resume').split(' ')[0];
-  const company = (job.company   || 'Company').replace(/\s/g, '');
-  const role    = (job.title     || 'Role').replace(/\s/g, '');
-  const date    = new Date().toISOString().split('T')[0];
-  els.filenamePreview.textContent = `↓ ${name}_${company}_${role}_${date}.docx`;
-
-  els.previewState.classList.remove('hidden');
-  els.previewState.classList.add('fade-in');
+  els.resumePreview.innerHTML = state.diffMode
+    ? renderDiffPreview(resume, alignBullets(resume, state.baseResumeText))
+    : renderResumePreview(resume, { controls: true });
+  renderScoreDelta(resume);
+  renderPlacement(resume);
+  renderBulletLint(resume);
+  els.diffToggleBtn.textContent = state.diffMode ? 'Back to editing' : 'Compare with original';
+  els.previewHint.textContent = state.diffMode
+    ? 'Green is new wording, struck-through is your original. Keep or revert each rewrite — your choices teach career memory what you like.'
+    : 'Click any text to edit it. Hover a role or bullet to reorder, delete or regenerate.';
 }
 
-function renderResumePreview(resume) {
+// controls: make the final preview editable — text fields become
+// contenteditable and each section/bullet gets hover controls (reorder,
+// delete, verify, regenerate). The streaming preview is read-only.
+function renderResumePreview(resume, { controls = false } = {}) {
+  const btn = (attrs, label, title) => controls
+    ? `<button class="edit-btn" ${attrs} title="${title}">${label}</button>`
+    : '';
+  const editable = (attrs) => controls ? ` contenteditable="plaintext-only" spellcheck="true" ${attrs}` : '';
+
   let html = '';
   html += `<div class="preview-name">${esc(resume.name)}</div>`;
   const contact = [resume.email, resume.phone, resume.location, resume.linkedin].filter(Boolean).join(' · ');
   if (contact) html += `<div class="preview-contact">${esc(contact)}</div>`;
 
   if (resume.summary) {
-    html += `<div class="preview-section-title">Summary</div>`;
-    html += `<div class="preview-summary">${esc(resume.summary)}</div>`;
+    html += `<div class="preview-section-title">Summary`
+      + `<span class="edit-controls">${btn('data-regen="summary"', '↺', 'Regenerate summary · 1 API call')}</span></div>`;
+    html += `<div class="preview-summary"${editable('data-field="summary"')}>${esc(resume.summary)}</div>`;
   }
 
   if (resume.experience?.length) {
     html += `<div class="preview-section-title">Experience</div>`;
-    for (const job of resume.experience) {
-      html += `<div class="preview-job-title">${esc(job.title)}</div>`;
+    resume.experience.forEach((job, i) => {
+      const exp = `data-exp="${i}"`;
+      html += `<div class="preview-job-title">${esc(job.title)}<span class="edit-controls">`
+        + btn(`data-edit="exp-up" ${exp}`, '↑', 'Move role up')
+        + btn(`data-edit="exp-down" ${exp}`, '↓', 'Move role down')
+        + btn(`data-edit="exp-delete" ${exp}`, '✕', 'Remove this role')
+        + btn(`data-regen="experience" ${exp}`, '↺', 'Regenerate bullets for this role · 1 API call')
+        + `</span></div>`;
       html += `<div class="preview-job-company">${esc(job.company)} · ${esc(job.dates)}</div>`;
-      for (const bullet of job.bullets || []) {
-        const cls = bullet.authentic === false ? 'preview-bullet flagged' : 'preview-bullet';
-        html += `<div class="${cls}">${esc(bullet.text)}</div>`;
-      }
-    }
+      (job.bullets || []).forEach((bullet, j) => {
+        const flagged = bullet.authentic === false;
+        const at = `${exp} data-bullet="${j}"`;
+        html += `<div class="preview-bullet${flagged ? ' flagged' : ''}"${unverifiedTitle(bullet)}>`
+          + `<span class="bullet-text"${editable(`data-field="bullet" ${at}`)}>${esc(bullet.text)}</span>`
+          + `<span class="edit-controls">`
+          + (flagged ? btn(`data-edit="bullet-verify" ${at}`, '✓', 'I checked this — mark as accurate') : '')
+          + btn(`data-edit="bullet-up" ${at}`, '↑', 'Move bullet up')
+          + btn(`data-edit="bullet-down" ${at}`, '↓', 'Move bullet down')
+          + btn(`data-edit="bullet-delete" ${at}`, '✕', 'Delete bullet')
+          + btn(`data-regen="bullet" ${at}`, '↺', 'Regenerate this bullet · 1 API call')
+          + `</span></div>`;
+        // Filled by renderBulletLint, so an edit re-lints without a re-render
+        if (controls) html += `<div class="bullet-lint" data-lint="${i}-${j}"></div>`;
+      });
+    });
   }
 
-  if (resume.skills?.length) {
+  if (resume.skills?.length || controls) {
     html += `<div class="preview-section-title">Skills</div><div class="preview-skills">`;
-    for (const skill of resume.skills) {
-      html += `<span class="preview-skill-tag">${esc(skill)}</span>`;
-    }
+    (resume.skills || []).forEach((skill, k) => {
+      html += `<span class="preview-skill-tag">${esc(skill)}${btn(`data-edit="skill-remove" data-skill="${k}"`, '×', 'Remove skill')}</span>`;
+    });
+    if (controls) html += `<input class="skill-add" id="skillAddInput" placeholder="+ add skill" maxlength="40">`;
     html += `</div>`;
   }
 
@@ -389,6 +731,392 @@ function renderResumePreview(resume) {
   return html;
 }
 
+// Tooltip for bullets verify.js flagged — says exactly what to check
+function unverifiedTitle(bullet) {
+  return bullet.unverified?.length
+    ? ` title="Not in your resume: ${esc(bullet.unverified.join(', '))}"`
+    : '';
+}
+
+// ─── Before → after score ───────────────────────────────────────────────────
+// The tailored resume, rendered as text, through the same analysis the base
+// resume got. Only when that analysis was of the posting being tailored for.
+function renderScoreDelta(resume) {
+  const context = state.keywordContext;
+  if (!state.keywordAnalysis || !resume || context?.jobDescription !== state.currentJob?.description) {
+    state.scoreDelta = null;
+    els.scoreDelta.classList.add('hidden');
+    return;
+  }
+
+  const after = analyzeKeywords(context.jobDescription, resumeToText(resume), context.options);
+  const delta = compareKeywordAnalyses(state.keywordAnalysis, after);
+  state.scoreDelta = delta;
+
+  const change = ({ delta: d }) =>
+    `<span class="delta ${d > 0 ? 'up' : d < 0 ? 'down' : 'flat'}">${d > 0 ? '+' : ''}${d}</span>`;
+  // Only categories the posting has skills in
+  const categories = [['Hard', 'hard', 'hardSkills'], ['Soft', 'soft', 'softSkills'], ['Other', 'other', 'otherSkills']]
+    .filter(([, , block]) => state.keywordAnalysis[block].total > 0)
+    .map(([label, key]) => `${label} ${delta.categories[key].before}→${delta.categories[key].after}%${change(delta.categories[key])}`);
+
+  els.scoreDelta.innerHTML = `
+    <div class="score-delta-main">
+      Keyword match <b>${delta.overall.before}%</b> → <b>${delta.overall.after}%</b>${change(delta.overall)}
+    </div>
+    ${categories.length ? `<div class="score-delta-cats">${categories.join(' · ')}</div>` : ''}
+    ${delta.newlyMatched.length || delta.lost.length ? `<div class="score-delta-tags">
+      ${delta.newlyMatched.map(name => `<span class="kw-tag matched" title="Newly matched">+ ${esc(name)}</span>`).join('')}
+      ${delta.lost.map(name => `<span class="kw-tag missing" title="Matched by your base resume, not by this version">− ${esc(name)}</span>`).join('')}
+    </div>` : ''}`;
+  els.scoreDelta.classList.remove('hidden');
+}
+
+// ─── Keyword placement ─────────────────────────────────────────────────────
+// Where the rewrite put the posting's skills, measured against the keyword
+// analysis of the base resume. Helps decide between editing and regenerating.
+function renderPlacement(resume) {
+  const analysis = state.keywordAnalysis;
+  if (!analysis || !resume) {
+    els.placementReport.classList.add('hidden');
+    return;
+  }
+
+  const report = analyzePlacement(resume, analysis, { customSkills: state.skillDictionary.skills });
+  const inContext = report.skills.filter(s => s.placement === 'context');
+  const skillsOnly = report.skills.filter(s => s.placement === 'skills-only');
+  const issues = report.omitted.length + report.stuffed.length + skillsOnly.length;
+
+  els.placementReport.classList.toggle('hidden', report.skills.length === 0);
+  els.placementSummary.textContent = `· ${inContext.length} of ${report.skills.length} used in context${issues ? ` · ${issues} to review` : ''}`;
+
+  const whereTitle = ({ where }) =>
+    [['summary', where.summary], ['bullets', where.bullets], ['skills list', where.skills]]
+      .filter(([, n]) => n > 0)
+      .map(([part, n]) => `${part} ×${n}`)
+      .join(' · ');
+  const group = (title, tags) => tags.length === 0 ? '' : `
+    <div class="placement-group">
+      <div class="placement-group-title">${title}</div>
+      ${tags.join('')}
+    </div>`;
+
+  els.placementList.innerHTML = [
+    group('Dropped — your resume has these, the rewrite left them out',
+      report.omitted.map(name => `<span class="kw-tag missing required">${esc(name)}</span>`)),
+    group('Repeated too often — reads as keyword stuffing',
+      report.stuffed.map(s => `<span class="kw-tag missing" title="${Math.round(s.density * 1000) / 10}% of all words">${esc(s.name)} ×${s.mentions}</span>`)),
+    group('Only in the skills list — no bullet or summary backs them up',
+      skillsOnly.map(s => `<span class="kw-tag weak">${esc(s.name)}</span>`)),
+    group('Used in context',
+      inContext.map(s => `<span class="kw-tag matched" title="${whereTitle(s)}">${esc(s.name)}</span>`)),
+  ].join('');
+}
+
+// ─── Bullet lint ───────────────────────────────────────────────────────────
+// Rule-based style findings (bullet-lint.js) under each bullet of the
+// editable preview. Advice only — nothing here blocks the download.
+function renderBulletLint(resume) {
+  const { bullets } = lintResume(resume, { avoidVerbs: state.avoidVerbs });
+  for (const slot of els.resumePreview.querySelectorAll('[data-lint]')) {
+    const [i, j] = slot.dataset.lint.split('-').map(Number);
+    slot.innerHTML = lintNotes(bullets[i]?.[j] || []);
+  }
+}
+
+// Base resume in Settings: the structured form when there is one, else
+// the textarea or saved text, structured the same way
+function renderBaseLint() {
+  const resume = settingsProfile()?.json
+    || structureResume(els.resumePasteArea.value.trim() || settingsProfile()?.text || '');
+  if (!resume.experience.some(job => job.bullets.length > 0)) {
+    els.baseLintReport.classList.add('hidden');
+    return;
+  }
+
+  const { bullets, counts, total } = lintResume(resume);
+  els.baseLintReport.classList.remove('hidden');
+  els.baseLintSummary.textContent = total === 0
+    ? '· no issues'
+    : `· ${Object.entries(counts).map(([rule, n]) => `${LINT_RULES[rule]} ×${n}`).join(' · ')}`;
+
+  els.baseLintList.innerHTML = resume.experience.flatMap((job, i) =>
+    job.bullets.map((bullet, j) => bullets[i][j].length === 0 ? '' : `
+      <div class="lint-item">
+        <div class="lint-item-text">${esc(bullet.text)}</div>
+        <div class="bullet-lint">${lintNotes(bullets[i][j], { full: true })}</div>
+      </div>`)
+  ).join('');
+}
+
+// full: spell out each message (Settings has the room; the preview uses tooltips)
+function lintNotes(findings, { full = false } = {}) {
+  return findings
+    .map(f => full
+      ? `<div class="lint-note"><b>${esc(LINT_RULES[f.rule])}</b> — ${esc(f.message)}</div>`
+      : `<span class="lint-note" title="${esc(f.message)}">${esc(LINT_RULES[f.rule])}</span>`)
+    .join('');
+}
+
+// ─── Diff view ─────────────────────────────────────────────────────────────
+// Each tailored bullet next to the base-resume line it was rewritten from.
+// Decisions are stored on the bullet itself (review, rejected) so they
+// survive edits and reach RECORD_SESSION with the confirmed resume.
+async function handleDiffToggle() {
+  if (!state.pendingResume) return;
+  if (!state.diffMode && state.baseResumeText === null) {
+    const { data } = await msg('GET_SETTINGS');
+    state.baseResumeText = profileText(data?.profiles.find(p => p.id === state.tailorProfileId))
+      || data?.baseResumeText || '';
+    // Bank-mode bullets are diffed against the bank item they came from
+    if (state.tailorUsedInventory) {
+      state.baseResumeText += `\n\n${inventoryToText(state.inventory, { tags: false })}`;
+    }
+  }
+  state.diffMode = !state.diffMode;
+  renderPreview(state.pendingResume);
+}
+
+function renderDiffPreview(resume, alignment) {
+  const btn = (attrs, label, title) =>
+    `<button class="edit-btn review-btn" ${attrs} title="${title}">${label}</button>`;
+
+  let html = '';
+  (resume.experience || []).forEach((job, i) => {
+    html += `<div class="preview-job-title">${esc(job.title)}</div>`;
+    html += `<div class="preview-job-company">${esc(job.company)} · ${esc(job.dates)}</div>`;
+
+    (job.bullets || []).forEach((bullet, j) => {
+      const { source } = alignment[i][j];
+      const at = `data-exp="${i}" data-bullet="${j}"`;
+      const ops = source ? diffWords(source, bullet.text) : [{ op: 'add', text: bullet.text }];
+      const unchanged = ops.every(o => o.op === 'same');
+
+      let body;
+      if (bullet.review === 'reverted' || unchanged) {
+        body = esc(bullet.text);
+      } else {
+        body = ops.map(({ op, text }) =>
+          op === 'same' ? esc(text) : op === 'add' ? `<ins>${esc(text)}</ins>` : `<del>${esc(text)}</del>`
+        ).join(' ');
+      }
+
+      let actions;
+      if (bullet.review) {
+        actions = `<span class="review-badge ${bullet.review}">${bullet.review}</span>`
+          + btn(`data-review="undo" ${at}`, '↶', 'Undo');
+      } else if (unchanged) {
+        actions = `<span class="review-badge">unchanged</span>`;
+      } else {
+        actions = btn(`data-review="accept" ${at}`, '✓', 'Keep the rewrite')
+          + (source
+            ? btn(`data-review="revert" ${at}`, '↺', 'Revert to your original line')
+            : `<span class="review-badge">new</span>`);
+      }
+
+      const cls = ['preview-bullet', 'diff-bullet'];
+      if (bullet.authentic === false) cls.push('flagged');
+      if (bullet.review) cls.push(bullet.review);
+      html += `<div class="${cls.join(' ')}"${unverifiedTitle(bullet)}><span class="bullet-text">${body}</span>`
+        + `<span class="review-actions">${actions}</span></div>`;
+    });
+  });
+
+  return html || '<div class="preview-summary">No experience bullets to compare.</div>';
+}
+
+function handleReviewAction(btn) {
+  const resume = state.pendingResume;
+  if (!resume || state.fragmentController) return;
+
+  const i = Number(btn.dataset.exp);
+  const j = Number(btn.dataset.bullet);
+  const bullet = resume.experience[i]?.bullets[j];
+  if (!bullet) return;
+
+  switch (btn.dataset.review) {
+    case 'accept':
+      bullet.review = 'accepted';
+      break;
+    case 'revert': {
+      // Same alignment the user is looking at — it's deterministic
+      const { source } = alignBullets(resume, state.baseResumeText)[i][j];
+      if (!source) return;
+      bullet.rejected = { text: bullet.text, authentic: bullet.authentic, unverified: bullet.unverified };
+      bullet.text = source;
+      bullet.authentic = true; // the user's own line
+      delete bullet.unverified;
+      bullet.review = 'reverted';
+      break;
+    }
+    case 'undo':
+      if (bullet.review === 'reverted' && bullet.rejected) {
+        bullet.text = bullet.rejected.text;
+        bullet.authentic = bullet.rejected.authentic;
+        if (bullet.rejected.unverified) bullet.unverified = bullet.rejected.unverified;
+      }
+      delete bullet.review;
+      delete bullet.rejected;
+      break;
+    default: return;
+  }
+
+  renderPreview(resume);
+}
+
+// ─── Inline editing ────────────────────────────────────────────────────────
+// Edits mutate state.pendingResume in place, so GENERATE_DOCX and
+// RECORD_SESSION pick them up with no extra plumbing. Text edits don't
+// re-render (that would lose the caret); structural edits do.
+function handlePreviewInput(e) {
+  const field = e.target.dataset?.field;
+  const resume = state.pendingResume;
+  if (!field || !resume) return;
+
+  const text = e.target.textContent.replace(/\s+/g, ' ').trim();
+  if (field === 'summary') {
+    resume.summary = text;
+  } else {
+    const bullet = resume.experience[Number(e.target.dataset.exp)]?.bullets[Number(e.target.dataset.bullet)];
+    if (bullet) bullet.text = text;
+  }
+}
+
+// A bullet emptied by editing is a deleted bullet — an empty "•" line in
+// the .docx is never what the user wants
+function handlePreviewBlur(e) {
+  if (!e.target.dataset?.field || !state.pendingResume || !e.target.isConnected) return;
+  if (e.target.dataset.field === 'summary' || e.target.textContent.trim()) {
+    // Text changed — rescore, recount keyword use, re-lint
+    renderScoreDelta(state.pendingResume);
+    renderPlacement(state.pendingResume);
+    renderBulletLint(state.pendingResume);
+    return;
+  }
+
+  const bullets = state.pendingResume.experience[Number(e.target.dataset.exp)]?.bullets;
+  bullets?.splice(Number(e.target.dataset.bullet), 1);
+  renderPreview(state.pendingResume);
+}
+
+function handlePreviewKeydown(e) {
+  // Enter commits a text edit — summary and bullets are single paragraphs
+  if (e.target.dataset?.field && e.key === 'Enter') {
+    e.preventDefault();
+    e.target.blur();
+    return;
+  }
+
+  if (e.target.id === 'skillAddInput' && e.key === 'Enter') {
+    e.preventDefault();
+    const skill = e.target.value.trim();
+    const resume = state.pendingResume;
+    if (!skill || !resume) return;
+
+    resume.skills = resume.skills || [];
+    if (!resume.skills.some(s => s.toLowerCase() === skill.toLowerCase())) {
+      resume.skills.push(skill);
+    }
+    renderPreview(resume);
+    $('skillAddInput').focus();
+  }
+}
+
+function handleEditAction(btn) {
+  const resume = state.pendingResume;
+  // Indices in an in-flight fragment request must stay valid until it lands
+  if (!resume || state.fragmentController) return;
+
+  const jobs = resume.experience || [];
+  const i = Number(btn.dataset.exp);
+  const j = Number(btn.dataset.bullet);
+
+  switch (btn.dataset.edit) {
+    case 'exp-up':        moveItem(jobs, i, -1); break;
+    case 'exp-down':      moveItem(jobs, i, 1); break;
+    case 'exp-delete':
+      if (!confirm(`Remove "${jobs[i].title}" from this resume?`)) return;
+      jobs.splice(i, 1);
+      break;
+    case 'bullet-up':     moveItem(jobs[i].bullets, j, -1); break;
+    case 'bullet-down':   moveItem(jobs[i].bullets, j, 1); break;
+    case 'bullet-delete': jobs[i].bullets.splice(j, 1); break;
+    case 'bullet-verify':
+      jobs[i].bullets[j].authentic = true;
+      delete jobs[i].bullets[j].unverified;
+      break;
+    case 'skill-remove':  resume.skills.splice(Number(btn.dataset.skill), 1); break;
+    default: return;
+  }
+
+  renderPreview(resume);
+}
+
+function moveItem(list, from, delta) {
+  const to = from + delta;
+  if (to < 0 || to >= list.length) return;
+  [list[from], list[to]] = [list[to], list[from]];
+}
+
+// ─── Fragment regenerate ───────────────────────────────────────────────────
+// Rewrites just the summary, one role's bullets, or one bullet. Everything
+// else in state.pendingResume is held fixed and sent along as context.
+// Cancellable like a full tailoring: aborting closes the port, which aborts
+// the AI call in background.js.
+async function handleRegenerateFragment(btn) {
+  if (!state.pendingResume || !state.currentJob || state.fragmentController) return;
+
+  const target = {
+    section: btn.dataset.regen,
+    index: Number(btn.dataset.exp),
+    bulletIndex: Number(btn.dataset.bullet),
+  };
+  const resume = state.pendingResume;
+
+  const controller = new AbortController();
+  state.fragmentController = controller;
+  els.resumePreview.classList.add('busy');
+  els.cancelRegenBtn.classList.remove('hidden');
+  btn.closest('.preview-section-title, .preview-job-title, .preview-bullet').classList.add('regenerating');
+
+  const { data, error } = await msgStream('REGENERATE_FRAGMENT', {
+    profileId: state.tailorProfileId,
+    useInventory: state.tailorUsedInventory,
+    jobDescription: state.currentJob.description,
+    resume,
+    target,
+  }, { signal: controller.signal });
+
+  state.fragmentController = null;
+  els.resumePreview.classList.remove('busy');
+  els.cancelRegenBtn.classList.add('hidden');
+
+  // A new tailoring replaced the resume while we waited — drop the result
+  if (state.pendingResume !== resume) return;
+  if (controller.signal.aborted) {
+    renderPreview(resume);
+    return;
+  }
+
+  if (error) {
+    renderPreview(resume);
+    els.previewError.textContent = `✗ ${formatError(error)}`;
+    els.previewError.classList.remove('hidden');
+    return;
+  }
+
+  state.pendingResume = applyFragment(resume, target, data.fragment);
+  renderPreview(state.pendingResume);
+}
+
+function applyFragment(resume, { section, index, bulletIndex }, fragment) {
+  const next = structuredClone(resume);
+  if (section === 'summary')         next.summary = fragment;
+  else if (section === 'experience') next.experience[index].bullets = fragment;
+  else                               next.experience[index].bullets[bulletIndex] = fragment;
+  return next;
+}
+
 // ─── Download ──────────────────────────────────────────────────────────────
 async function handleDownloadClick() {
   if (!state.pendingResume || !state.currentJob) return;
@@ -423,6 +1151,8 @@ async function handleDownloadClick() {
       jobData: state.currentJob,
       confirmedResume: state.pendingResume,
       keywordsUsed: flattenKeywordAnalysis(state.keywordAnalysis).matched,
+      scoreDelta: state.scoreDelta,
+      profileId: state.tailorProfileId,
     }).catch(err => console.warn('[ResumeOS] Session record failed:', err));
 
     els.downloadBtn.querySelector('span:not(.btn-icon)').textContent = '✓ Downloading...';
@@ -444,13 +1174,14 @@ async function handleRegenerateClick() {
   showLoading();
 
   try {
-    const { data, error } = await msg('TAILOR_RESUME', {
-      jobDescription: state.currentJob.description,
-    });
+    const response = await requestTailoring(state.currentJob.description);
+    if (!response) return; // cancelled
 
+    const { data, error } = response;
     if (error) throw error;
 
     state.pendingResume = data.resume;
+    state.verification  = data.verification;
     showPreview(data.resume, state.currentJob);
   } catch (err) {
     showError(err); // pass object, not string
@@ -458,6 +1189,8 @@ async function handleRegenerateClick() {
 }
 
 // ─── Settings ──────────────────────────────────────────────────────────────
+const PDF_REVIEW_BELOW = 70; // % extraction confidence
+
 function setupSettingsListeners() {
   els.toggleApiKeyVisibility.addEventListener('click', () => {
     const isPassword = els.settingsApiKey.type === 'password';
@@ -465,39 +1198,101 @@ function setupSettingsListeners() {
     els.keyVisIcon.textContent = isPassword ? '🙈' : '👁';
   });
 
+  els.settingsProvider.addEventListener('change', updateProviderFields);
+
   els.resumeFileInput.addEventListener('change', async (e) => {
     const file = e.target.files?.[0];
+    e.target.value = ''; // picking the same file again (after a cancelled import) still fires change
     if (!file) return;
 
     const filename = file.name;
-    const ext = filename.split('.').pop().toLowerCase();
-
-    if (ext === 'pdf') {
-      els.resumeError.textContent = '✗ PDF not supported — save your resume as .docx or paste the text directly.';
-      els.resumeError.classList.remove('hidden');
-      return;
-    }
-
     const base64 = await fileToBase64(file);
     const { data, error } = await msg('PARSE_RESUME_FILE', { fileData: base64, filename });
 
     if (error || data?.error) {
-      els.resumeError.textContent = `✗ ${error?.message || data?.error}`;
-      els.resumeError.classList.remove('hidden');
-      els.resumeStatus.classList.add('hidden');
+      showResumeError(error?.message || data?.error);
       return;
     }
 
-    els.resumeError.classList.add('hidden');
-    els.resumePasteArea.value = data.text;
-    els.resumeStatus.classList.remove('hidden');
-    els.resumeStatus.classList.add('has-resume');
-    els.resumeStatusIcon.textContent = '✓';
-    els.resumeStatusText.textContent = `${filename} · ready`;
+    // Structured sources (JSON Resume, Markdown) are previewed first
+    if (data.source) {
+      showImportPreview(data, filename);
+      return;
+    }
+
+    applyResumeText(data.text, data.structured);
+
+    // PDFs come with a layout-reconstruction confidence; a low one means
+    // read the extracted text before saving
+    const lowConfidence = data.confidence != null && data.confidence < PDF_REVIEW_BELOW;
+    els.resumeStatus.classList.toggle('low-confidence', lowConfidence);
+    els.resumeStatus.title = (data.notes || []).join('\n');
+    els.resumeStatusIcon.textContent = lowConfidence ? '⚠' : '✓';
+    els.resumeStatusText.textContent = data.confidence == null
+      ? `${filename} · ready`
+      : `${filename} · ${data.confidence}% extraction confidence${lowConfidence ? ' — check the text below' : ''}`;
   });
 
+  els.linkedinImportBtn.addEventListener('click', handleLinkedInImport);
+  els.importConfirmBtn.addEventListener('click', handleImportConfirm);
+  els.importCancelBtn.addEventListener('click', hideImportPreview);
+
   els.saveSettingsBtn.addEventListener('click', handleSaveSettings);
 
+  // Turning auto off starts from whatever was detected
+  els.skillPacksAuto.addEventListener('change', () => renderSkillPacks(readSkillPacks()));
+  els.resumePasteArea.addEventListener('change', () => {
+    if (els.skillPacksAuto.checked) renderSkillPacks(readSkillPacks());
+    reparseBaseResume();
+  });
+
+  els.reparseResumeBtn.addEventListener('click', reparseBaseResume);
+  els.settingsProfileSelect.addEventListener('change', () => {
+    stashSettingsProfile();
+    openSettingsProfile(els.settingsProfileSelect.value);
+  });
+  els.settingsProfileName.addEventListener('change', () => {
+    stashSettingsProfile();
+    renderProfileSelect();
+  });
+  els.profileAddBtn.addEventListener('click', handleProfileAdd);
+  els.profileDeleteBtn.addEventListener('click', handleProfileDelete);
+  els.structuredResumeForm.addEventListener('change', handleStructuredEdit);
+  els.structuredResumeForm.addEventListener('click', handleStructuredAction);
+
+  els.inventoryForm.addEventListener('change', handleInventoryEdit);
+  els.inventoryForm.addEventListener('click', (e) => {
+    const remove = e.target.closest('[data-inv-remove]');
+    if (!remove) return;
+    state.inventory.roles.splice(Number(remove.dataset.invRemove), 1);
+    renderInventory();
+    saveInventory(state.inventory);
+  });
+  els.inventoryAddBtn.addEventListener('click', () => {
+    state.inventory.roles.push({ company: '', title: '', dates: '', skills: [], bullets: [], projects: [] });
+    renderInventory();
+  });
+  els.inventorySeedBtn.addEventListener('click', handleInventorySeed);
+  els.inventoryImportInput.addEventListener('change', handleInventoryImport);
+  els.inventoryExportBtn.addEventListener('click', handleInventoryExport);
+
+  els.skillDictAddBtn.addEventListener('click', handleSkillDictAdd);
+  els.skillDictName.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleSkillDictAdd();
+  });
+  els.skillDictAliases.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') handleSkillDictAdd();
+  });
+  els.skillDictList.addEventListener('change', handleSkillDictEdit);
+  els.skillDictList.addEventListener('click', (e) => {
+    const remove = e.target.closest('[data-dict-remove]');
+    if (!remove) return;
+    const skills = state.skillDictionary.skills.filter((_, i) => i !== Number(remove.dataset.dictRemove));
+    saveSkillDictionary({ skills });
+  });
+  els.skillDictImportInput.addEventListener('change', handleSkillDictImport);
+  els.skillDictExportBtn.addEventListener('click', handleSkillDictExport);
+
   els.clearMemoryBtn.addEventListener('click', async () => {
     if (!confirm('Clear all career memory? This removes session history and preferences. Cannot be undone.')) return;
     await msg('CLEAR_MEMORY');
@@ -508,25 +1303,49 @@ function setupSettingsListeners() {
 async function handleSaveSettings() {
   const name       = els.settingsName.value.trim();
   const apiKey     = els.settingsApiKey.value.trim();
+  const provider   = els.settingsProvider.value;
+  const baseUrl    = els.settingsBaseUrl.value.trim();
+  const model      = els.settingsModel.value.trim();
   const resumeText = els.resumePasteArea.value.trim();
+  const info       = getProviderInfo(provider);
 
-  if (!name)       { els.settingsName.focus();    return; }
-  if (!apiKey)     { els.settingsApiKey.focus();  return; }
-  if (!resumeText) { els.resumePasteArea.focus(); return; }
+  if (!name)                    { els.settingsName.focus();    return; }
+  if (info.needsKey && !apiKey) { els.settingsApiKey.focus();  return; }
+  if (!resumeText)              { els.resumePasteArea.focus(); return; }
+
+  // Must run before any await — permission prompts need the click's user gesture
+  if (info.needsBaseUrl) {
+    const granted = await requestEndpointPermission(buildProviderConfig({ provider, baseUrl }).baseUrl);
+    if (!granted) return;
+  }
 
   els.saveSettingsBtnText.textContent = 'Saving...';
   els.saveSettingsBtn.disabled = true;
 
-  els.keyValidationResult.textContent = '✓ Settings saved (API key will be verified on first use)';
+  els.keyValidationResult.textContent = info.needsKey
+    ? '✓ Settings saved (API key will be verified on first use)'
+    : '✓ Settings saved (endpoint will be checked on first use)';
   els.keyValidationResult.className = 'validation-result success';
   els.keyValidationResult.classList.remove('hidden');
 
-  await msg('SAVE_SETTINGS', { name, apiKey, baseResumeText: resumeText, onboardingDone: true });
+  stashSettingsProfile();
+  await msg('SAVE_SETTINGS', {
+    name, provider, baseUrl, model,
+    apiKeys: { ...state.apiKeys, [provider]: apiKey },
+    profiles: state.profiles,
+    skillPacks: readSkillPacks(),
+    onboardingDone: true,
+  });
 
   state.onboardingDone = true;
+  state.provider = provider;
+  state.baseResumeText = null; // diff view reloads the new base resume
+  state.profiles = state.profiles.filter(p => p.text); // empty drafts aren't saved
+  if (!settingsProfile()) openSettingsProfile(state.profiles[0].id);
+  renderProfileSelect();
   els.setupBanner.style.display = 'none';
   els.onboardingBanner.classList.add('hidden');
-  setStatus('Gemini connected', 'green');
+  setStatus(`${info.label} connected`, 'green');
   els.saveSettingsBtnText.textContent = '✓ Saved';
 
   setTimeout(() => {
@@ -536,6 +1355,613 @@ async function handleSaveSettings() {
   }, 1200);
 }
 
+// ─── Resume profiles ───────────────────────────────────────────────────────
+// Settings edits a draft of every profile (state.profiles); the textarea,
+// upload and structured form act on the open one, and Save Settings stores
+// them all. The first profile is the default.
+function newProfile(name) {
+  return { id: `p${Date.now().toString(36)}`, name, text: '', json: null, jsonEdited: false };
+}
+
+function settingsProfile() {
+  return state.profiles.find(p => p.id === state.settingsProfileId) || null;
+}
+
+// Form fields → the open profile's draft, before switching or saving
+function stashSettingsProfile() {
+  const profile = settingsProfile();
+  if (!profile) return;
+  profile.text = els.resumePasteArea.value.trim();
+  profile.name = els.settingsProfileName.value.trim() || profile.name;
+}
+
+function openSettingsProfile(id) {
+  state.settingsProfileId = id;
+  const profile = settingsProfile();
+  els.resumePasteArea.value = profile.text;
+  els.settingsProfileName.value = profile.name;
+  els.resumeError.classList.add('hidden');
+  els.resumeStatus.classList.remove('low-confidence');
+  els.resumeStatus.classList.toggle('hidden', !profile.text);
+  els.resumeStatus.classList.toggle('has-resume', Boolean(profile.text));
+  els.resumeStatus.title = '';
+  els.resumeStatusIcon.textContent = '✓';
+  els.resumeStatusText.textContent = 'Base resume loaded';
+  hideImportPreview();
+
+  renderProfileSelect();
+  renderStructuredResume();
+  renderBaseLint();
+  if (els.skillPacksAuto.checked) renderSkillPacks(readSkillPacks());
+}
+
+function renderProfileSelect() {
+  els.settingsProfileSelect.innerHTML = state.profiles.map((p, i) =>
+    `<option value="${esc(p.id)}"${p.id === state.settingsProfileId ? ' selected' : ''}>${esc(p.name)}${i === 0 ? ' (default)' : ''}</option>`
+  ).join('');
+  els.profileDeleteBtn.disabled = state.profiles.length < 2;
+}
+
+function handleProfileAdd() {
+  stashSettingsProfile();
+  const profile = newProfile(`Profile ${state.profiles.length + 1}`);
+  state.profiles.push(profile);
+  openSettingsProfile(profile.id);
+  els.settingsProfileName.select();
+}
+
+function handleProfileDelete() {
+  const profile = settingsProfile();
+  if (!profile || state.profiles.length < 2) return;
+  if (!confirm(`Delete the "${profile.name}" profile? This takes effect when you save.`)) return;
+  state.profiles = state.profiles.filter(p => p !== profile);
+  openSettingsProfile(state.profiles[0].id);
+}
+
+// Tailor tab picker. scored: every profile's analysis when auto picked
+// one (for the hint), null when the user chose a profile themselves.
+function renderProfilePicker(profiles, scored) {
+  els.profilePicker.classList.toggle('hidden', profiles.length < 2);
+  if (profiles.length < 2) return;
+
+  const choice = scored ? 'auto' : state.profileChoice;
+  els.profileSelect.innerHTML = [
+    `<option value="auto"${choice === 'auto' ? ' selected' : ''}>Auto — best match</option>`,
+    ...profiles.map(p => `<option value="${esc(p.id)}"${p.id === choice ? ' selected' : ''}>${esc(p.name)}</option>`),
+  ].join('');
+
+  els.profileHint.textContent = scored
+    ? `Using ${profiles.find(p => p.id === state.profileId).name}: ${[...scored]
+      .sort((a, b) => b.analysis.score.overall - a.analysis.score.overall)
+      .map(({ profile, analysis }) => `${profile.name} ${analysis.score.overall}%`)
+      .join(' · ')}`
+    : '';
+}
+
+function handleProfileChoice() {
+  state.profileChoice = els.profileSelect.value;
+  const job = resolveJobDescription();
+  if (job) runKeywordAnalysis(job.description);
+}
+
+// ─── Base resume imports ───────────────────────────────────────────────────
+// Uploads and confirmed imports fill the open profile's text and structure;
+// like typing in the textarea, nothing is stored until Save Settings.
+function applyResumeText(text, structured) {
+  els.resumeError.classList.add('hidden');
+  els.resumePasteArea.value = text;
+  settingsProfile().json = structured || structureResume(text);
+  settingsProfile().jsonEdited = false;
+  renderSkillPacks(readSkillPacks());
+  renderStructuredResume();
+  renderBaseLint();
+  els.resumeStatus.classList.remove('hidden', 'low-confidence');
+  els.resumeStatus.classList.add('has-resume');
+  els.resumeStatus.title = '';
+  els.resumeStatusIcon.textContent = '✓';
+}
+
+function showResumeError(message) {
+  els.resumeError.textContent = `✗ ${message}`;
+  els.resumeError.classList.remove('hidden');
+  els.resumeStatus.classList.add('hidden');
+}
+
+async function handleLinkedInImport() {
+  els.linkedinImportBtn.disabled = true;
+  const { data, error } = await msg('IMPORT_LINKEDIN_PROFILE');
+  els.linkedinImportBtn.disabled = false;
+
+  if (error) {
+    showResumeError(error.message);
+    return;
+  }
+  showImportPreview(data, 'LinkedIn profile');
+}
+
+// data: { text, structured, notes, source } from PARSE_RESUME_FILE or
+// IMPORT_LINKEDIN_PROFILE. label: the file name or where it came from.
+function showImportPreview(data, label) {
+  const resume = data.structured;
+  const bullets = resume.experience.reduce((sum, job) => sum + job.bullets.length, 0);
+
+  state.pendingImport = { ...data, label };
+  els.resumeError.classList.add('hidden');
+  els.importPreviewTitle.textContent = `${data.source === label ? label : `${data.source} · ${label}`} — `
+    + `${resume.experience.length} role${resume.experience.length === 1 ? '' : 's'}, ${bullets} bullet${bullets === 1 ? '' : 's'}, `
+    + `${resume.skills.length} skill${resume.skills.length === 1 ? '' : 's'}, ${resume.education.length} education`;
+  els.importPreviewNotes.innerHTML = (data.notes || []).map(note => `<li>${esc(note)}</li>`).join('');
+  els.importPreviewBody.innerHTML = renderResumePreview(resume);
+  els.importConfirmBtn.textContent = `Replace "${settingsProfile().name || 'Untitled'}"`;
+  els.importPreview.classList.remove('hidden');
+  els.importPreview.scrollIntoView({ block: 'nearest' });
+}
+
+function hideImportPreview() {
+  state.pendingImport = null;
+  els.importPreview.classList.add('hidden');
+}
+
+function handleImportConfirm() {
+  const { text, structured, label } = state.pendingImport || {};
+  if (!text) return;
+  hideImportPreview();
+  applyResumeText(text, structured);
+  els.resumeStatusText.textContent = `${label} · imported — Save Settings to keep it`;
+}
+
+// ─── Structured base resume ────────────────────────────────────────────────
+// The form edits the open profile's json in place; Save Settings stores it.
+// Paths address fields: "email", "experience.0.title", "education.1.dates".
+function renderStructuredResume() {
+  const resume = settingsProfile()?.json;
+  els.structuredResumeGroup.classList.toggle('hidden', !resume);
+  if (!resume) return;
+
+  const input = (path, value, placeholder) =>
+    `<input type="text" class="field-input" data-res-path="${path}" value="${esc(value)}" placeholder="${placeholder}" autocomplete="off">`;
+  const remove = (path, title) => `<button class="edit-btn" data-res-remove="${path}" title="${title}">✕</button>`;
+
+  els.structuredResumeForm.innerHTML = `
+    <div class="structured-grid">
+      ${input('name', resume.name, 'Name')}
+      ${input('email', resume.email, 'Email')}
+      ${input('phone', resume.phone, 'Phone')}
+      ${input('location', resume.location, 'Location')}
+      ${input('linkedin', resume.linkedin, 'LinkedIn URL')}
+    </div>
+    <div class="structured-title">Summary</div>
+    <textarea class="field-textarea" data-res-path="summary" rows="3" placeholder="No summary">${esc(resume.summary)}</textarea>
+
+    <div class="structured-title">Experience · ${resume.experience.length}</div>
+    ${resume.experience.map((job, i) => `
+      <div class="structured-entry">
+        <div class="structured-entry-head">
+          ${input(`experience.${i}.title`, job.title, 'Title')}
+          ${remove(`experience.${i}`, 'Remove this role')}
+        </div>
+        <div class="structured-grid">
+          ${input(`experience.${i}.company`, job.company, 'Company')}
+          ${input(`experience.${i}.dates`, job.dates, 'Dates')}
+        </div>
+        <textarea class="field-textarea" data-res-path="experience.${i}.bullets" rows="${Math.min(8, job.bullets.length + 1)}"
+          placeholder="One bullet per line">${esc(job.bullets.map(b => b.text).join('\n'))}</textarea>
+      </div>`).join('')}
+    <button class="btn-ghost" data-res-add="experience">+ Add role</button>
+
+    <div class="structured-title">Skills · ${resume.skills.length}</div>
+    ${input('skills', resume.skills.join(', '), 'Comma-separated')}
+
+    <div class="structured-title">Education · ${resume.education.length}</div>
+    ${resume.education.map((ed, i) => `
+      <div class="structured-entry">
+        <div class="structured-entry-head">
+          ${input(`education.${i}.institution`, ed.institution, 'School')}
+          ${remove(`education.${i}`, 'Remove this entry')}
+        </div>
+        <div class="structured-grid">
+          ${input(`education.${i}.degree`, ed.degree, 'Degree')}
+          ${input(`education.${i}.dates`, ed.dates, 'Dates')}
+        </div>
+      </div>`).join('')}
+    <button class="btn-ghost" data-res-add="education">+ Add education</button>`;
+}
+
+// Text edits keep the structure in step until the form has corrections of
+// the user's own — those are only replaced when they say so
+function reparseBaseResume() {
+  const profile = settingsProfile();
+  if (!profile) return;
+  if (profile.jsonEdited && !confirm('Re-parse the structured resume from the text? Your corrections in the form will be lost.')) return;
+  const text = els.resumePasteArea.value.trim() || profile.text;
+  profile.json = text ? structureResume(text) : null;
+  profile.jsonEdited = false;
+  renderStructuredResume();
+  renderBaseLint();
+}
+
+function handleStructuredEdit(e) {
+  const path = e.target.dataset.resPath;
+  const resume = settingsProfile()?.json;
+  if (!path || !resume) return;
+
+  const keys = path.split('.');
+  const field = keys.pop();
+  const target = keys.reduce((obj, key) => obj?.[key], resume);
+  if (!target) return;
+
+  const value = e.target.value.trim();
+  if (field === 'bullets') {
+    target.bullets = value.split('\n').map(line => line.trim()).filter(Boolean).map(text => ({ text, authentic: true }));
+  } else if (field === 'skills') {
+    target.skills = value.split(',').map(skill => skill.trim()).filter(Boolean);
+  } else {
+    target[field] = value;
+  }
+  settingsProfile().jsonEdited = true;
+  renderBaseLint();
+}
+
+function handleStructuredAction(e) {
+  const add = e.target.closest('[data-res-add]');
+  const remove = e.target.closest('[data-res-remove]');
+  const resume = settingsProfile()?.json;
+  if (!resume || (!add && !remove)) return;
+
+  if (add) {
+    const list = add.dataset.resAdd;
+    resume[list].push(list === 'experience'
+      ? { company: '', title: '', dates: '', bullets: [] }
+      : { institution: '', degree: '', dates: '' });
+  } else {
+    const [list, index] = remove.dataset.resRemove.split('.');
+    resume[list].splice(Number(index), 1);
+  }
+  settingsProfile().jsonEdited = true;
+  renderStructuredResume();
+  renderBaseLint();
+}
+
+// ─── Provider fields ───────────────────────────────────────────────────────
+// Gemini only needs a key. OpenAI-compatible and Ollama need an endpoint and
+// model; the key is optional (OpenAI) or unused (Ollama). Each provider
+// has its own key: switching parks the typed key and shows the new one's.
+function updateProviderFields() {
+  const provider = els.settingsProvider.value;
+  const info = getProviderInfo(provider);
+
+  if (provider !== state.apiKeyProvider) {
+    state.apiKeys[state.apiKeyProvider] = els.settingsApiKey.value.trim();
+    state.apiKeyProvider = provider;
+    els.settingsApiKey.value = state.apiKeys[provider] || '';
+  }
+
+  els.providerEndpointGroup.classList.toggle('hidden', !info.needsBaseUrl);
+  els.settingsBaseUrl.placeholder = info.defaultBaseUrl;
+  els.settingsModel.placeholder = info.defaultModel;
+  els.apiKeyGroup.classList.toggle('hidden', provider === 'ollama');
+
+  if (provider === 'gemini') {
+    els.providerHint.textContent = "Google's free tier. No setup beyond an API key.";
+    els.apiKeyLabel.textContent = 'Gemini API Key';
+    els.apiKeyHint.innerHTML = `Stored locally only. Never sent to any server other than Google's Gemini API.
+          Same model as saved passwords. <a href="https://aistudio.google.com/app/apikey" target="_blank" class="link">Get free key →</a>`;
+  } else if (provider === 'openai') {
+    els.providerHint.textContent = 'OpenAI, or any server with a /chat/completions endpoint (llama.cpp, LM Studio, vLLM).';
+    els.apiKeyLabel.textContent = 'API Key (optional for local servers)';
+    els.apiKeyHint.textContent = 'Stored locally only. Sent only to the base URL above.';
+  } else {
+    els.providerHint.textContent = 'Runs on your machine. Start Ollama with OLLAMA_ORIGINS=chrome-extension://* so the extension can reach it.';
+  }
+}
+
+// Hosts outside manifest host_permissions must be granted at runtime,
+// otherwise fetch() from the service worker fails CORS.
+async function requestEndpointPermission(baseUrl) {
+  let origin;
+  try {
+    origin = new URL(baseUrl).origin;
+  } catch (e) {
+    showSettingsError('✗ Base URL is not a valid URL.');
+    els.settingsBaseUrl.focus();
+    return false;
+  }
+
+  const granted = await chrome.permissions.request({ origins: [`${origin}/*`] })
+    .catch(() => false);
+  if (!granted) {
+    showSettingsError(`✗ ResumeOS needs permission to reach ${origin}.`);
+    return false;
+  }
+  return true;
+}
+
+function showSettingsError(message) {
+  els.keyValidationResult.textContent = message;
+  els.keyValidationResult.className = 'validation-result error';
+  els.keyValidationResult.classList.remove('hidden');
+}
+
+// ─── Skill packs ───────────────────────────────────────────────────────────
+// In auto mode packs are re-detected from each saved resume profile on every
+// analysis; the checkboxes only preview what detection picks for the
+// resume text in the form (or the open profile's, while the form is empty).
+function renderSkillPacks({ auto, active }) {
+  const detected = detectSkillPacks(els.resumePasteArea.value.trim() || settingsProfile()?.text || '');
+  const checked = auto ? detected : active;
+
+  els.skillPacksAuto.checked = auto;
+  els.skillPackList.classList.toggle('auto', auto);
+  els.skillPackList.innerHTML = Object.entries(SKILL_PACKS).map(([id, pack]) => `
+    <label class="check-row">
+      <input type="checkbox" value="${id}"${checked.includes(id) ? ' checked' : ''}${auto ? ' disabled' : ''}>
+      ${esc(pack.label)}
+    </label>`).join('');
+
+  els.skillPacksHint.textContent = !auto
+    ? 'Extra vocabularies for keyword matching, on top of the built-in software skills.'
+    : detected.length
+      ? `Detected: ${detected.map(id => SKILL_PACKS[id].label).join(', ')}.`
+      : 'No industry pack detected — software skills only.';
+}
+
+function readSkillPacks() {
+  return {
+    auto: els.skillPacksAuto.checked,
+    active: [...els.skillPackList.querySelectorAll('input:checked')].map(input => input.value),
+  };
+}
+
+// resumeText: the profile being scored — auto detection is per profile
+function activeSkillPacks(settings, resumeText) {
+  const { auto, active } = settings.skillPacks;
+  return auto ? detectSkillPacks(resumeText) : active;
+}
+
+// ─── Custom skill dictionary ───────────────────────────────────────────────
+// Saved on every change (not by Save Settings) so it never waits on the
+// rest of the form being valid. The background re-normalizes each save.
+function renderSkillDictionary() {
+  const categoryOptions = selected => SKILL_CATEGORIES
+    .map(c => `<option value="${c}"${c === selected ? ' selected' : ''}>${c[0].toUpperCase()}${c.slice(1)}</option>`)
+    .join('');
+
+  els.skillDictList.innerHTML = state.skillDictionary.skills.map((skill, i) => `
+    <div class="skill-dict-row">
+      <span class="skill-dict-name" title="${esc(skill.name)}">${esc(skill.name)}</span>
+      <select class="field-input" data-dict-index="${i}" data-dict-field="category">${categoryOptions(skill.category)}</select>
+      <input type="text" class="field-input" data-dict-index="${i}" data-dict-field="aliases"
+        value="${esc(skill.aliases.join(', '))}" placeholder="No aliases" autocomplete="off">
+      <button class="edit-btn" data-dict-remove="${i}" title="Remove skill">✕</button>
+    </div>`).join('');
+}
+
+async function saveSkillDictionary(raw) {
+  const { data, error } = await msg('SAVE_SKILL_DICTIONARY', raw);
+  if (error) {
+    showSkillDictError(`✗ ${error.message}`);
+    return false;
+  }
+
+  els.skillDictError.classList.add('hidden');
+  state.skillDictionary = data.dictionary;
+  renderSkillDictionary();
+
+  // Re-score the posting on screen with the new vocabulary
+  const job = resolveJobDescription();
+  if (job && !els.keywordSection.classList.contains('hidden')) runKeywordAnalysis(job.description);
+  return true;
+}
+
+async function handleSkillDictAdd() {
+  const name = els.skillDictName.value.trim();
+  if (!name) { els.skillDictName.focus(); return; }
+
+  const saved = await saveSkillDictionary({
+    skills: [
+      ...state.skillDictionary.skills,
+      { name, category: els.skillDictCategory.value, aliases: els.skillDictAliases.value },
+    ],
+  });
+  if (!saved) return;
+
+  els.skillDictName.value = '';
+  els.skillDictAliases.value = '';
+  els.skillDictName.focus();
+}
+
+function handleSkillDictEdit(e) {
+  const field = e.target.dataset.dictField;
+  if (!field) return;
+
+  const skills = state.skillDictionary.skills.map((skill, i) =>
+    i === Number(e.target.dataset.dictIndex) ? { ...skill, [field]: e.target.value } : skill
+  );
+  saveSkillDictionary({ skills });
+}
+
+async function handleSkillDictImport(e) {
+  const file = e.target.files?.[0];
+  e.target.value = ''; // importing the same file again still fires change
+  if (!file) return;
+
+  let raw;
+  try {
+    raw = JSON.parse(await file.text());
+  } catch (err) {
+    showSkillDictError(`✗ ${file.name} is not valid JSON.`);
+    return;
+  }
+
+  const { dictionary, skipped, error } = normalizeSkillDictionary(raw);
+  if (error) {
+    showSkillDictError(`✗ ${error}`);
+    return;
+  }
+
+  const current = state.skillDictionary.skills.length;
+  if (current > 0 && !confirm(`Replace your ${current} custom skill${current === 1 ? '' : 's'} with ${dictionary.skills.length} from ${file.name}?`)) return;
+
+  const saved = await saveSkillDictionary(dictionary);
+  if (saved && skipped > 0) {
+    showSkillDictError(`Imported ${dictionary.skills.length} skills · ${skipped} entr${skipped === 1 ? 'y' : 'ies'} without a usable name skipped.`);
+  }
+}
+
+function handleSkillDictExport() {
+  const blob = new Blob([JSON.stringify(state.skillDictionary, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'resumeos-skills.json';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function showSkillDictError(message) {
+  els.skillDictError.textContent = message;
+  els.skillDictError.classList.remove('hidden');
+}
+
+// ─── Achievement bank ──────────────────────────────────────────────────────
+// Like the custom skills, saved on every change rather than by Save
+// Settings. Edits update state.inventory in place (no re-render, so focus
+// stays put); a new blank role only reaches storage once it has content.
+function renderInventory() {
+  const input = (path, value, placeholder) =>
+    `<input type="text" class="field-input" data-inv-path="${path}" value="${esc(value)}" placeholder="${placeholder}" autocomplete="off">`;
+
+  els.inventoryForm.innerHTML = state.inventory.roles.map((role, i) => `
+    <div class="structured-entry">
+      <div class="structured-entry-head">
+        ${input(`${i}.title`, role.title, 'Title')}
+        <button class="edit-btn" data-inv-remove="${i}" title="Remove this role">✕</button>
+      </div>
+      <div class="structured-grid">
+        ${input(`${i}.company`, role.company, 'Company')}
+        ${input(`${i}.dates`, role.dates, 'Dates')}
+      </div>
+      <textarea class="field-textarea" data-inv-path="${i}.bullets" rows="${Math.min(10, role.bullets.length + 2)}"
+        placeholder="Every bullet, one per line: Cut p99 latency 40% [Go, Redis]">${esc(formatTaggedLines(role.bullets))}</textarea>
+      <textarea class="field-textarea" data-inv-path="${i}.projects" rows="${Math.min(6, role.projects.length + 1)}"
+        placeholder="Projects, one per line: Billing v2: rebuilt invoicing [Kafka]">${esc(formatTaggedLines(role.projects))}</textarea>
+      ${input(`${i}.skills`, role.skills.join(', '), 'Skills used in this role, comma-separated')}
+    </div>`).join('');
+
+  renderInventoryToggle();
+}
+
+// Tailor tab checkbox — only offered once the bank has something to pick
+function renderInventoryToggle() {
+  els.inventoryToggle.classList.toggle('hidden', !hasInventory(state.inventory));
+  els.useInventory.checked = state.useInventory;
+}
+
+async function saveInventory(raw) {
+  const { data, error } = await msg('SAVE_INVENTORY', raw);
+  if (error) {
+    showInventoryError(`✗ ${error.message}`);
+    return null;
+  }
+  els.inventoryError.classList.add('hidden');
+  renderInventoryToggle();
+  return data.inventory;
+}
+
+function handleInventoryEdit(e) {
+  const path = e.target.dataset.invPath;
+  if (!path) return;
+
+  const [index, field] = path.split('.');
+  const role = state.inventory.roles[Number(index)];
+  if (!role) return;
+
+  const value = e.target.value.trim();
+  if (field === 'bullets' || field === 'projects') {
+    role[field] = parseTaggedLines(value, { named: field === 'projects' });
+  } else if (field === 'skills') {
+    role.skills = [...new Set(value.split(',').map(skill => skill.trim()).filter(Boolean))];
+  } else {
+    role[field] = value;
+  }
+  saveInventory(state.inventory);
+}
+
+// Copies the open profile's roles into the bank: new roles are added,
+// bullets an existing role doesn't have yet are appended to it
+async function handleInventorySeed() {
+  const experience = settingsProfile()?.json?.experience || [];
+  if (experience.length === 0) {
+    showInventoryError('No roles in the base resume yet — upload or paste it above first.');
+    return;
+  }
+
+  const key = (company, title) => `${company}|${title}`.toLowerCase();
+  let added = 0;
+  for (const job of experience) {
+    let role = state.inventory.roles.find(r => key(r.company, r.title) === key(job.company, job.title));
+    if (!role) {
+      role = { company: job.company, title: job.title, dates: job.dates, skills: [], bullets: [], projects: [] };
+      state.inventory.roles.push(role);
+    }
+    const known = new Set(role.bullets.map(b => b.text.toLowerCase()));
+    for (const bullet of job.bullets) {
+      if (known.has(bullet.text.toLowerCase())) continue;
+      role.bullets.push({ text: bullet.text, skills: [] });
+      added++;
+    }
+  }
+
+  renderInventory();
+  const saved = await saveInventory(state.inventory);
+  if (saved) showInventoryError(`Added ${added} bullet${added === 1 ? '' : 's'} from the base resume — tag them and add what the page left out.`);
+}
+
+async function handleInventoryImport(e) {
+  const file = e.target.files?.[0];
+  e.target.value = ''; // importing the same file again still fires change
+  if (!file) return;
+
+  let raw;
+  try {
+    raw = JSON.parse(await file.text());
+  } catch (err) {
+    showInventoryError(`✗ ${file.name} is not valid JSON.`);
+    return;
+  }
+
+  const { inventory, skipped, error } = normalizeInventory(raw);
+  if (error) {
+    showInventoryError(`✗ ${error}`);
+    return;
+  }
+
+  const current = state.inventory.roles.length;
+  if (current > 0 && !confirm(`Replace your achievement bank (${current} role${current === 1 ? '' : 's'}) with ${inventory.roles.length} from ${file.name}?`)) return;
+
+  const saved = await saveInventory(inventory);
+  if (!saved) return;
+  state.inventory = saved;
+  renderInventory();
+  if (skipped > 0) showInventoryError(`Imported ${saved.roles.length} roles · ${skipped} empty entr${skipped === 1 ? 'y' : 'ies'} skipped.`);
+}
+
+function handleInventoryExport() {
+  const { inventory } = normalizeInventory(state.inventory);
+  const blob = new Blob([JSON.stringify(inventory, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'resumeos-achievements.json';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function showInventoryError(message) {
+  els.inventoryError.textContent = message;
+  els.inventoryError.classList.remove('hidden');
+}
+
 // ─── History ───────────────────────────────────────────────────────────────
 async function loadHistory() {
   const { data } = await msg('GET_MEMORY');
@@ -564,6 +1990,8 @@ async function loadHistory() {
         <div class="hist-title">${esc(s.job.title)} · ${esc(s.job.company)}</div>
         <div class="hist-sub">${s.status || 'tailored'} · ${s.job.source}</div>
       </div>
+      ${s.scoreDelta ? `<div class="hist-delta delta ${s.scoreDelta.overall.delta > 0 ? 'up' : s.scoreDelta.overall.delta < 0 ? 'down' : 'flat'}"
+        title="Keyword match ${s.scoreDelta.overall.before}% → ${s.scoreDelta.overall.after}%">${s.scoreDelta.overall.delta > 0 ? '+' : ''}${s.scoreDelta.overall.delta}%</div>` : ''}
       <div class="hist-date">${formatDate(s.date)}</div>
     </div>
   `).join('');
@@ -615,6 +2043,11 @@ function showLoading() {
   els.tailorBtnSection.classList.add('hidden');
   els.previewState.classList.add('hidden');
   els.errorState.classList.add('hidden');
+  els.loadingText.textContent = `Rewriting with ${getProviderInfo(state.provider).label}...`;
+  els.loadingSub.textContent = 'Free API call · Usually under 15s';
+  els.loadingState.classList.remove('streaming');
+  els.streamPreview.classList.add('hidden');
+  els.streamPreview.innerHTML = '';
   els.loadingState.classList.remove('hidden');
   els.loadingState.classList.add('fade-in');
 }
@@ -671,6 +2104,8 @@ function showError(messageOrErr) {
 function resetTailorTab() {
   state.pendingResume = null;
   state.pendingDocx   = null;
+  state.verification  = null;
+  state.scoreDelta    = null;
   hideAll();
   els.downloadBtn.disabled = false;
   els.downloadBtn.querySelector('span:not(.btn-icon)').textContent = 'Looks Good — Download .docx';
@@ -689,6 +2124,42 @@ function msg(action, data) {
   });
 }
 
+// Like msg(), but over a long-lived port so the background can push
+// progress before the final response. Resolves to the same { data, error }
+// shape; onPartial/onStatus fire for intermediate messages. Aborting
+// `signal` disconnects the port (background cancels) and resolves with
+// a CANCELLED error.
+function msgStream(action, data, { onPartial, onStatus, signal } = {}) {
+  return new Promise((resolve) => {
+    const port = chrome.runtime.connect({ name: 'stream' });
+    let settled = false;
+
+    const finish = (response) => {
+      if (settled) return;
+      settled = true;
+      port.disconnect();
+      resolve(response);
+    };
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'partial')     onPartial?.(message.resume);
+      else if (message.type === 'status') onStatus?.(message.message);
+      else if (message.type === 'done')   finish({ success: true, data: message.data });
+      else if (message.type === 'error')  finish({ success: false, error: message.error });
+    });
+
+    port.onDisconnect.addListener(() => {
+      finish({ error: { message: chrome.runtime.lastError?.message || 'Lost connection to the extension. Try again.' } });
+    });
+
+    signal?.addEventListener('abort', () => {
+      finish({ error: { code: 'CANCELLED', message: 'Cancelled.' } });
+    }, { once: true });
+
+    port.postMessage({ action, data });
+  });
+}
+
 function esc(str) {
   if (!str) return '';
   return String(str)
@@ -1,59 +1,292 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { buildSystemPrompt, buildUserPrompt, buildSummaryPrompt } from './prompts.js';
+import * as gemini from './providers/gemini.js';
+import * as openai from './providers/openai.js';
+import * as ollama from './providers/ollama.js';
+import {
+  buildSystemPrompt,
+  buildUserPrompt,
+  buildRepairPrompt,
+  buildContinuationPrompt,
+  buildSummaryPrompt,
+  buildFragmentSystemPrompt,
+  buildFragmentPrompt,
+  RESUME_JSON_SCHEMA,
+  FRAGMENT_JSON_SCHEMAS,
+} from './prompts.js';
+import { parsePartialJSON } from './partial-json.js';
+import { verifyAgainstBase, verifyBulletsAgainstBase } from './verify.js';
+import { inventoryToText } from './inventory.js';
 
-const MODEL_ID = 'gemini-2.5-flash';
+// Provider id → module implementing generate() + parseError().
+// Metadata (labels, defaults) lives in providers/catalog.js.
+const PROVIDERS = { gemini, openai, ollama };
+
+// WHY 2: one repair fixes almost every structural slip. A second covers a
+// repair that itself gets truncated. Beyond that the model is stuck and
+// we're just burning the user's quota.
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Continuations per attempt when output stops at the token limit.
+// 1500 × 3 covers a ~10-role resume; anything longer fails validation and
+// gets a repair request asking for tighter bullets.
+const MAX_CONTINUATIONS = 2;
+
+// A repeated tail shorter than this is indistinguishable from real content
+// (e.g. a lone quote), so we only de-duplicate longer overlaps.
+const MIN_OVERLAP = 8;
 
 // ─── tailorResume ────────────────────────────────────────────────────────────
 // Main AI call: takes base resume + JD → returns structured JSON resume
-export async function tailorResume({ apiKey, baseResume, jobDescription, preferenceSummary }) {
-  const genAI = new GoogleGenerativeAI(apiKey);
-  const model = genAI.getGenerativeModel({
-    model: MODEL_ID,
-    systemInstruction: buildSystemPrompt(preferenceSummary),
-    generationConfig: {
-      maxOutputTokens: 1500,
-      temperature: 0.3,
-    },
+// `provider` is a config from buildProviderConfig(): { id, apiKey, baseUrl, model }
+//
+// Output is schema-constrained where the provider supports it, then strictly
+// validated. On failure we send a bounded repair request listing the exact
+// problems instead of surfacing a generic parse error. The valid result is
+// then checked against the base resume (verify.js) and returned as
+// { resume, verification }.
+//
+// `inventory` (optional) is the achievement bank (inventory.js): the model
+// picks each role's bullets from it, and the whole bank counts as source
+// material for verification alongside the base resume.
+//
+// `customSkills` and `packs` (optional) are the user's skill dictionary and
+// active skill packs: verification checks the tools they name as well as
+// the built-in ones.
+//
+// Optional streaming callbacks (used by the side panel's progressive preview):
+//   onPartial(resume) — best-effort full-schema resume parsed from the text so far
+//   onStatus(message) — human-readable progress (continuing, repairing)
+// `signal` (AbortSignal) cancels the in-flight request and any follow-ups;
+// the promise then rejects with { code: 'CANCELLED' }.
+export async function tailorResume({
+  provider, baseResume, jobDescription, preferenceSummary, inventory, customSkills, packs, onPartial, onStatus, signal,
+}) {
+  const resume = await generateValidated(provider, {
+    system: buildSystemPrompt(preferenceSummary, { inventory: Boolean(inventory) }),
+    userPrompt: buildUserPrompt({ baseResume, jobDescription, inventory }),
+    schema: RESUME_JSON_SCHEMA,
+    maxOutputTokens: 1500,
+    temperature: 0.3,
+    parse: parseResumeJSON,
+    onText: onPartial ? partialResumeEmitter(onPartial) : null,
+    onStatus,
+    signal,
   });
+  return verifyAgainstBase(resume, sourceText(baseResume, inventory), { customSkills, packs });
+}
 
-  const userPrompt = buildUserPrompt({ baseResume, jobDescription });
+// ─── regenerateFragment ──────────────────────────────────────────────────────
+// Rewrites one piece of an already-tailored resume, holding the rest fixed.
+// `target` picks the piece:
+//   { section: 'summary' }                        → returns summary string
+//   { section: 'experience', index }              → returns bullets array
+//   { section: 'bullet', index, bulletIndex }     → returns one bullet
+// Company/title/dates are never regenerated — they're facts, not framing.
+// Regenerated bullets get the same verify.js check as a full tailoring.
+export async function regenerateFragment({
+  provider, baseResume, jobDescription, resume, target, preferenceSummary, inventory, customSkills, packs, signal,
+}) {
+  const fragment = await generateValidated(provider, {
+    system: buildFragmentSystemPrompt(preferenceSummary, { inventory: Boolean(inventory) }),
+    userPrompt: buildFragmentPrompt({ baseResume, jobDescription, resume, target, inventory }),
+    schema: FRAGMENT_JSON_SCHEMAS[target.section],
+    maxOutputTokens: 600,
+    temperature: 0.6, // higher than a full tailor — the point is a different take
+    parse: rawText => parseFragmentJSON(rawText, target),
+    signal,
+  });
 
-  // Catch Gemini SDK errors here and convert to structured error objects
-  // before they propagate. Without this, the raw SDK message reaches
-  // sidepanel as { code: 'UNKNOWN', message: <giant string> }.
-  let result;
-  try {
-    result = await model.generateContent(userPrompt);
-  } catch (err) {
-    throw parseGeminiError(err);
-  }
-  
-  return parseResumeJSON(rawText);
+  const source = sourceText(baseResume, inventory);
+  const skills = { customSkills, packs };
+  if (target.section === 'experience') return verifyBulletsAgainstBase(fragment, source, skills);
+  if (target.section === 'bullet') return verifyBulletsAgainstBase([fragment], source, skills)[0];
+  return fragment;
+}
+
+// What verification checks facts against: the base resume, plus the whole
+// achievement bank (not just the items the prompt sent) in bank mode
+function sourceText(baseResume, inventory) {
+  return inventory ? `${baseResume}\n\n${inventoryToText(inventory)}` : baseResume;
 }
 
 // ─── rebuildPreferenceSummary ────────────────────────────────────────────────
 // Regenerates the career memory summary every 5 confirmed sessions.
 // WHY every 5: Rebuilding every session is expensive. Every 10 is too stale.
 //              5 strikes the balance — new patterns emerge after a few sessions.
-export async function rebuildPreferenceSummary({ apiKey, sessions }) {
-  const genAI = new GoogleGenerativeAI(apiKey);
-  const model = genAI.getGenerativeModel({
-    model: MODEL_ID,
-    generationConfig: {
-      maxOutputTokens: 200,
-      temperature: 0.1, // Very low temp — we want consistent, factual summary
-    },
+export async function rebuildPreferenceSummary({ provider, sessions }) {
+  const { text } = await generate(provider, {
+    prompt: buildSummaryPrompt(sessions),
+    maxOutputTokens: 200,
+    temperature: 0.1, // Very low temp — we want consistent, factual summary
   });
+  return text.trim();
+}
+
+// ─── generateValidated ───────────────────────────────────────────────────────
+// Generate → parse → on failure, repair with the specific errors, at most
+// MAX_REPAIR_ATTEMPTS times. `parse(rawText)` returns { value, errors }.
+async function generateValidated(provider, {
+  system, userPrompt, schema, maxOutputTokens, temperature, parse, onText, onStatus, signal,
+}) {
+  let prompt = userPrompt;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const { text: rawText } = await generateComplete(provider, {
+      system,
+      prompt,
+      maxOutputTokens,
+      temperature,
+      schema,
+      onText,
+      signal,
+    }, onStatus);
+
+    const parsed = parse(rawText);
+    if (parsed.value) return parsed.value;
+
+    errors = parsed.errors;
+    console.warn(`[ResumeOS] Invalid AI JSON (attempt ${attempt + 1}):`, errors);
+    onStatus?.('Output was malformed — asking the AI to fix it...');
+    prompt = buildRepairPrompt({ userPrompt, rawText, errors });
+  }
+
+  throw {
+    code: 'BAD_OUTPUT',
+    message: `The AI returned incomplete output ${MAX_REPAIR_ATTEMPTS + 1} times (${errors[0]}). Try again, or switch model in Settings.`,
+    errors,
+  };
+}
+
+// ─── generateComplete ────────────────────────────────────────────────────────
+// generate() that doesn't give up at the output-token limit. When the finish
+// reason is MAX_TOKENS we ask the model to continue and stitch the pieces,
+// so long resumes never come back with experience silently dropped. If it's
+// still truncated after MAX_CONTINUATIONS, parseResumeJSON sees an unclosed
+// object and the repair loop takes over.
+async function generateComplete(provider, request, onStatus) {
+  let { text, finishReason } = await generate(provider, request);
+
+  for (let i = 0; finishReason === 'MAX_TOKENS' && i < MAX_CONTINUATIONS; i++) {
+    console.warn(`[ResumeOS] Output hit token limit — requesting continuation ${i + 1}`);
+    onStatus?.('Long resume — continuing where the AI left off...');
+    const partial = text;
+    const next = await generate(provider, {
+      ...request,
+      prompt: buildContinuationPrompt({ userPrompt: request.prompt, partial }),
+      schema: null, // a continuation is a fragment, not a schema-valid object
+      onText: request.onText && (t => request.onText(stitchContinuation(partial, t))),
+    });
+    text = stitchContinuation(text, next.text);
+    finishReason = next.finishReason;
+  }
 
-  const prompt = buildSummaryPrompt(sessions);
-  const result = await model.generateContent(prompt);
-  return result.response.text().trim();
+  return { text, finishReason };
+}
+
+// ─── stitchContinuation ──────────────────────────────────────────────────────
+// Models don't always continue cleanly: some re-open a code fence, some
+// repeat the last few words, some start the whole object over.
+function stitchContinuation(partial, next) {
+  const rest = next.replace(/^\s*```(?:json)?\s*/i, '');
+
+  // Restarted from scratch — the new text supersedes the partial one
+  if (/^\s*\{\s*"n"\s*:/.test(rest)) return rest;
+
+  // Drop a repeated tail: longest suffix of partial that prefixes rest
+  const max = Math.min(200, partial.length, rest.length);
+  for (let len = max; len >= MIN_OVERLAP; len--) {
+    if (partial.endsWith(rest.slice(0, len))) return partial + rest.slice(len);
+  }
+  return partial + rest;
+}
+
+// ─── partialResumeEmitter ────────────────────────────────────────────────────
+// Turns streamed raw text into onPartial(resume) calls. Skips chunks that
+// don't change the parsed result (e.g. mid-key) so the panel doesn't
+// re-render for nothing.
+function partialResumeEmitter(onPartial) {
+  let last = '';
+  return (text) => {
+    const data = parsePartialJSON(text.replace(/^\s*```(?:json)?\s*/i, ''));
+    if (!data) return;
+
+    // A structurally wrong prefix is the final parse's problem (and the
+    // repair loop's), not the preview's — never let it abort the stream.
+    let resume;
+    try {
+      resume = validateResumeSchema(data);
+    } catch (e) {
+      return;
+    }
+    const serialized = JSON.stringify(resume);
+    if (serialized === last) return;
+    last = serialized;
+    onPartial(resume);
+  };
+}
+
+// ─── generate ────────────────────────────────────────────────────────────────
+// Dispatches to the configured provider. Catch provider errors here and
+// convert them to structured error objects before they propagate. Without
+// this, the raw SDK/HTTP message reaches sidepanel as
+// { code: 'UNKNOWN', message: <giant string> }.
+async function generate(provider, request) {
+  const impl = PROVIDERS[provider.id] || PROVIDERS.gemini;
+  if (request.signal?.aborted) throw cancelledError();
+  try {
+    return await impl.generate(provider, request);
+  } catch (err) {
+    // Each SDK reports aborts differently — the signal is the source of truth
+    if (request.signal?.aborted) throw cancelledError();
+    throw impl.parseError(err);
+  }
+}
+
+function cancelledError() {
+  return { code: 'CANCELLED', message: 'Tailoring cancelled.' };
 }
 
 // ─── parseResumeJSON ─────────────────────────────────────────────────────────
-// Gemini sometimes wraps JSON in markdown fences. Strip them before parsing.
-// Also handles trailing commas (common model output bug).
+// Returns { value, errors }. value (the full-schema resume) is null when the
+// output is unusable; errors then lists the problems in terms the model can
+// act on.
 function parseResumeJSON(rawText) {
+  const { data, errors } = parseJSONObject(rawText);
+  if (!data) return { value: null, errors };
+
+  const schemaErrors = findSchemaErrors(data);
+  if (schemaErrors.length > 0) return { value: null, errors: schemaErrors };
+  return { value: validateResumeSchema(data), errors: [] };
+}
+
+// ─── parseFragmentJSON ───────────────────────────────────────────────────────
+// Same contract as parseResumeJSON, for regenerateFragment's output shapes.
+function parseFragmentJSON(rawText, target) {
+  const { data, errors } = parseJSONObject(rawText);
+  if (!data) return { value: null, errors };
+
+  if (target.section === 'summary') {
+    if (!nonEmptyString(data.su)) return { value: null, errors: ['"su" must be a non-empty string'] };
+    return { value: data.su.trim(), errors: [] };
+  }
+
+  if (target.section === 'experience') {
+    const bulletErrors = Array.isArray(data.b) && data.b.length > 0
+      ? data.b.map((b, j) => (isValidBullet(b) ? null : `b[${j}] must be a non-empty string or {tx,f:1}`)).filter(Boolean)
+      : ['"b" must be a non-empty array of bullets'];
+    if (bulletErrors.length > 0) return { value: null, errors: bulletErrors };
+    return { value: data.b.map(expandBullet), errors: [] };
+  }
+
+  if (!isValidBullet(data.b)) return { value: null, errors: ['"b" must be a non-empty string or {tx,f:1}'] };
+  return { value: expandBullet(data.b), errors: [] };
+}
+
+// ─── parseJSONObject ─────────────────────────────────────────────────────────
+// Returns { data, errors }. Gemini sometimes wraps JSON in markdown fences.
+// Strip them before parsing. Also handles trailing commas (common model
+// output bug).
+function parseJSONObject(rawText) {
   let text = rawText.trim();
 
   // Strip markdown code fences if present
@@ -63,22 +296,126 @@ function parseResumeJSON(rawText) {
 
   // Find JSON object boundaries (in case there's any preamble)
   const start = text.indexOf('{');
-  const end = text.lastIndexOf('}');
-  if (start === -1 || end === -1) {
-    throw new Error('No JSON object found in AI response');
+  if (start === -1) {
+    return { data: null, errors: ['Output contains no JSON object'] };
+  }
+  if (!isBalanced(text.slice(start))) {
+    return {
+      data: null,
+      errors: ['Output was cut off before the JSON object was closed. Keep the output concise so it fits'],
+    };
   }
-  text = text.slice(start, end + 1);
+  text = text.slice(start, text.lastIndexOf('}') + 1);
 
   try {
-    const parsed = JSON.parse(text);
-    return validateResumeSchema(parsed);
+    return { data: JSON.parse(text), errors: [] };
   } catch (e) {
     // Last resort: try to fix common JSON issues
     // Remove trailing commas before ] or }
-    const fixed = text.replace(/,(\s*[}\]])/g, '$1');
-    const parsed = JSON.parse(fixed); // Will throw if still broken → caught upstream
-    return validateResumeSchema(parsed);
+    try {
+      return { data: JSON.parse(text.replace(/,(\s*[}\]])/g, '$1')), errors: [] };
+    } catch (e2) {
+      return { data: null, errors: [`Invalid JSON: ${e2.message}`] };
+    }
+  }
+}
+
+// ─── isBalanced ──────────────────────────────────────────────────────────────
+// True if every { and [ outside string literals is closed. A truncated
+// response fails this even when a stray } makes lastIndexOf look fine.
+function isBalanced(text) {
+  let depth = 0;
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+    }
+  }
+  return depth <= 0 && !inString;
+}
+
+// ─── findSchemaErrors ────────────────────────────────────────────────────────
+// Strict structural check of the short-key schema. Runs BEFORE
+// validateResumeSchema, which would otherwise paper over missing or
+// mistyped fields with empty strings. Messages use the short keys so the
+// repair prompt speaks the model's language.
+function findSchemaErrors(data) {
+  const errors = [];
+  if (!isPlainObject(data)) return ['Top level must be a JSON object'];
+
+  const name = data.n ?? data.name;
+  if (typeof name !== 'string' || !name.trim()) errors.push('"n" (name) is missing or empty');
+
+  for (const key of ['e', 'ph', 'lo', 'li', 'su']) {
+    if (data[key] !== undefined && typeof data[key] !== 'string') {
+      errors.push(`"${key}" must be a string`);
+    }
+  }
+
+  const experience = data.x ?? data.experience;
+  if (!Array.isArray(experience) || experience.length === 0) {
+    errors.push('"x" (experience) must be a non-empty array');
+  } else {
+    experience.forEach((exp, i) => {
+      if (!isPlainObject(exp)) {
+        errors.push(`x[${i}] must be an object`);
+        return;
+      }
+      if (!nonEmptyString(exp.c ?? exp.company)) errors.push(`x[${i}].c (company) is missing`);
+      if (!nonEmptyString(exp.t ?? exp.title))   errors.push(`x[${i}].t (title) is missing`);
+
+      const bullets = exp.b ?? exp.bullets;
+      if (!Array.isArray(bullets) || bullets.length === 0) {
+        errors.push(`x[${i}].b (bullets) must be a non-empty array`);
+        return;
+      }
+      bullets.forEach((b, j) => {
+        if (!isValidBullet(b)) {
+          errors.push(`x[${i}].b[${j}] must be a non-empty string or {tx,f:1}`);
+        }
+      });
+    });
+  }
+
+  const skills = data.sk ?? data.skills;
+  if (skills !== undefined && (!Array.isArray(skills) || skills.some(s => typeof s !== 'string'))) {
+    errors.push('"sk" (skills) must be an array of strings');
   }
+
+  const education = data.ed ?? data.education;
+  if (education !== undefined) {
+    if (!Array.isArray(education)) {
+      errors.push('"ed" (education) must be an array');
+    } else {
+      education.forEach((ed, i) => {
+        if (!isPlainObject(ed) || !nonEmptyString(ed.i ?? ed.institution)) {
+          errors.push(`ed[${i}].i (institution) is missing`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function nonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isValidBullet(b) {
+  return nonEmptyString(typeof b === 'string' ? b : (b?.tx ?? b?.text));
 }
 
 // ─── validateResumeSchema ───────────────────────────────────────────────────
@@ -103,14 +440,7 @@ function validateResumeSchema(data) {
       company: exp.c || exp.company || '',
       title:   exp.t || exp.title   || '',
       dates:   exp.d || exp.dates   || '',
-      bullets: (exp.b || exp.bullets || []).map(b => {
-        // Plain string = authentic bullet
-        if (typeof b === 'string') return { text: b, authentic: true };
-        // {tx, f:1} = flagged bullet
-        if (b.tx !== undefined) return { text: b.tx, authentic: !b.f };
-        // Legacy long-key format fallback
-        return { text: b.text || '', authentic: b.authentic !== false };
-      }),
+      bullets: (exp.b || exp.bullets || []).map(expandBullet),
     })),
     skills: Array.isArray(data.sk || data.skills)
       ? (data.sk || data.skills)
@@ -123,56 +453,11 @@ function validateResumeSchema(data) {
   };
 }
 
-// ─── parseGeminiError ────────────────────────────────────────────────────────
-// Extract a user-friendly error message from Gemini SDK errors
-export function parseGeminiError(err) {
-  const msg = err?.message || String(err);
-
-  if (msg.includes('429') || msg.includes('RESOURCE_EXHAUSTED') || msg.includes('quota')) {
-
-    // Try to extract the retry delay Gemini gives us (e.g. "53.809189902s")
-    const retryMatch = msg.match(/retry[^0-9]*(\d+(?:\.\d+)?)s/i)
-      || msg.match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/i);
-    const retrySeconds = retryMatch ? Math.ceil(parseFloat(retryMatch[1])) : 60;
-
-    // Distinguish daily cap (RPD) from per-minute (RPM)
-    const isDailyLimit = msg.includes('PerDay') || msg.includes('per_day') || msg.includes('RPD');
-
-    if (isDailyLimit) {
-      return {
-        code: 'DAILY_LIMIT',
-        message: "You've used all your free Gemini requests for today. Your quota resets at midnight Pacific Time. You can also enable billing on your Google AI project for higher limits.",
-        retryAfter: null,
-      };
-    }
-
-    return {
-      code: 'RATE_LIMIT',
-      message: `Gemini rate limit hit. Wait ${retrySeconds} seconds and try again.`,
-      retryAfter: retrySeconds,
-    };
-  }
-
-  if (msg.includes('401') || msg.includes('API_KEY_INVALID') || msg.includes('invalid api key')) {
-    return {
-      code: 'INVALID_KEY',
-      message: 'Invalid API key. Check your key in Settings.',
-    };
-  }
-  if (msg.includes('403') || msg.includes('PERMISSION_DENIED')) {
-    return {
-      code: 'PERMISSION',
-      message: "API key doesn't have Gemini access. Make sure you've enabled the Generative Language API in your Google Cloud project.",
-    };
-  }
-  if (msg.includes('500') || msg.includes('INTERNAL')) {
-    return {
-      code: 'SERVER_ERROR',
-      message: 'Gemini server error. Try again in a moment.',
-    };
-  }
-  return {
-    code: 'UNKNOWN',
-    message: `AI error: ${msg.slice(0, 100)}`,
-  };
-}
\ No newline at end of file
+function expandBullet(b) {
+  // Plain string = authentic bullet
+  if (typeof b === 'string') return { text: b, authentic: true };
+  // {tx, f:1} = flagged bullet
+  if (b.tx !== undefined) return { text: b.tx, authentic: !b.f };
+  // Legacy long-key format fallback
+  return { text: b.text || '', authentic: b.authentic !== false };
+}
@@ -0,0 +1,176 @@
+// bullet-lint.js — Rule-based quality checks for experience bullets
+//
+// WHY rules, not the model:
+//   These are the things recruiters' style guides agree on — open with a
+//   strong verb, no "I", past tense for past roles, show a number — and
+//   each can be checked with a regex in microseconds. Asking the model
+//   would cost a call per edit and still miss some. Findings are advice,
+//   never blockers: the user decides what to fix.
+//
+// Same signals career memory already pulls from confirmed resumes (opening
+// verbs, bullet length), applied per bullet instead of averaged. The user's
+// own reverted-rewrite verbs (aggregate.rejectedVerbs) join the weak list.
+//
+// Pure functions, no API calls. Used by the side panel (tailored preview
+// and base resume in Settings).
+
+const MAX_BULLET_WORDS = 30;
+const MAX_VERB_REPEATS = 2;     // the same opener in a third bullet gets flagged
+const DUPLICATE_NGRAM = 4;      // shared run of words that counts as repeated phrasing
+
+export const LINT_RULES = {
+  'weak-verb':     'Weak opening',
+  'repeated-verb': 'Repeated opening verb',
+  'passive':       'Passive voice',
+  'pronoun':       'First-person pronoun',
+  'no-metric':     'No numbers',
+  'too-long':      'Too long',
+  'tense':         'Tense',
+  'duplicate':     'Repeated phrasing',
+};
+
+// Openers that describe presence rather than impact
+const WEAK_OPENERS = /^(?:responsible for|tasked with|in charge of|duties included|involved in|participated in|helped(?: to)?|assisted(?: with| in)?|worked on|worked with|handled|did|made|used|utilized|supported|contributed to|was|were)\b/i;
+
+const PASSIVE = /\b(?:was|were|been|being|is|are|got)\s+(?:\w+ly\s+)?(?:\w+ed|built|led|run|made|given|taken|written|chosen|driven|grown|shown|done|sent|set|won)\b(?:\s+by\b)?/i;
+
+// "I" is case-sensitive ("I/O" aside); the rest are lowercase-only words
+const PRONOUN = /(?:^|[^\w/])I(?![\w/])|\b(?:me|my|mine|we|our|us)\b/;
+
+// Digits, written-out quantities and scale words all count as quantified
+const METRIC = /\d|\b(?:one|two|three|four|five|six|seven|eight|nine|ten|twelve|dozens?|hundreds?|thousands?|millions?|billions?|double[ds]?|triple[ds]?|half|percent)\b/i;
+
+// Irregular past forms that don't end in -ed
+const IRREGULAR_PAST = new Set([
+  'built', 'led', 'ran', 'grew', 'drove', 'wrote', 'won', 'made', 'took', 'gave',
+  'set', 'cut', 'brought', 'taught', 'sought', 'spoke', 'began', 'chose', 'held',
+  'kept', 'met', 'sold', 'found', 'became', 'rose', 'oversaw', 'spun', 'shot', 'put',
+  'undertook', 'withdrew', 'forecast', 'rebuilt', 'rewrote', 'overhauled',
+]);
+
+// Common action verbs in base form — a past role opening with one of these
+// (or its -s form) is in the present tense
+const PRESENT_VERBS = new Set([
+  'build', 'lead', 'manage', 'develop', 'design', 'create', 'drive', 'own', 'run',
+  'implement', 'improve', 'reduce', 'increase', 'launch', 'deliver', 'write',
+  'maintain', 'support', 'collaborate', 'partner', 'mentor', 'analyze', 'analyse',
+  'optimize', 'automate', 'architect', 'coordinate', 'oversee', 'ship', 'scale',
+  'migrate', 'establish', 'define', 'grow', 'sell', 'teach', 'spearhead', 'streamline',
+  'negotiate', 'present', 'plan', 'execute', 'monitor', 'test', 'deploy', 'research',
+  'prepare', 'review', 'conduct', 'organize', 'train', 'handle', 'work', 'help',
+]);
+
+const STOPWORDS = new Set(['the', 'a', 'an', 'and', 'or', 'to', 'of', 'in', 'on', 'for', 'with', 'by', 'at', 'from', 'as', 'into']);
+
+// ─── lintResume ──────────────────────────────────────────────────────────────
+// resume: the tailored JSON, or a base resume's structured JSON.
+// options.avoidVerbs: openers the user has rejected before (career memory).
+// Returns { bullets, counts, total } — bullets[i][j] is the findings array
+// for experience i, bullet j: [{ rule, message }].
+export function lintResume(resume, { avoidVerbs = [] } = {}) {
+  const avoid = new Set(avoidVerbs.map(v => v.toLowerCase()));
+  const jobs = resume.experience || [];
+
+  const bullets = jobs.map((job) => {
+    const current = /\b(?:present|current|now|today)\b/i.test(job.dates || '');
+    const texts = (job.bullets || []).map(b => (b.text || '').trim());
+    const tenses = texts.map(text => openerTense(firstWord(text)));
+    // Current roles may use either tense, as long as they pick one
+    const majority = current ? majorityTense(tenses) : 'past';
+
+    return texts.map((text, j) => {
+      const findings = [];
+      const opener = firstWord(text);
+      const words = text.split(/\s+/).filter(Boolean);
+      const add = (rule, message) => findings.push({ rule, message });
+
+      if (WEAK_OPENERS.test(text)) {
+        add('weak-verb', `"${text.match(WEAK_OPENERS)[0]}" describes a duty — open with what you did`);
+      } else if (avoid.has(opener.toLowerCase())) {
+        add('weak-verb', `You've reverted rewrites opening with "${opener}" before`);
+      }
+      if (PASSIVE.test(text)) add('passive', `"${text.match(PASSIVE)[0].trim()}" — say who did it`);
+      if (PRONOUN.test(text)) add('pronoun', 'Resumes leave out "I", "my" and "we"');
+      if (!METRIC.test(text)) add('no-metric', 'No number — add a scale, count, % or time if you have one');
+      if (words.length > MAX_BULLET_WORDS) add('too-long', `${words.length} words — keep bullets under ${MAX_BULLET_WORDS}`);
+      if (majority && tenses[j] && tenses[j] !== majority) {
+        add('tense', current
+          ? `Other bullets in this role are in the ${majority} tense`
+          : `Past role — use the past tense ("${pastHint(opener)}")`);
+      }
+      return findings;
+    });
+  });
+
+  flagRepeatedVerbs(jobs, bullets);
+  flagDuplicatePhrasing(jobs, bullets);
+
+  const counts = {};
+  for (const finding of bullets.flat(2)) counts[finding.rule] = (counts[finding.rule] || 0) + 1;
+  return { bullets, counts, total: bullets.flat(2).length };
+}
+
+// ─── Internal: cross-bullet rules ────────────────────────────────────────────
+
+function flagRepeatedVerbs(jobs, bullets) {
+  const seen = new Map();
+  jobs.forEach((job, i) => (job.bullets || []).forEach((b, j) => {
+    const verb = firstWord(b.text || '').toLowerCase();
+    if (!verb) return;
+    const count = (seen.get(verb) || 0) + 1;
+    seen.set(verb, count);
+    if (count > MAX_VERB_REPEATS) {
+      bullets[i][j].push({ rule: 'repeated-verb', message: `"${firstWord(b.text)}" already opens ${count - 1} other bullets` });
+    }
+  }));
+}
+
+// A run of DUPLICATE_NGRAM words (at least two of them content words) that
+// an earlier bullet already used. Flags the later bullet only.
+function flagDuplicatePhrasing(jobs, bullets) {
+  const seen = new Map(); // ngram → true
+  jobs.forEach((job, i) => (job.bullets || []).forEach((b, j) => {
+    const words = (b.text || '').toLowerCase().match(/[a-z0-9%$+#.]+/g) || [];
+    const grams = new Set();
+    for (let k = 0; k + DUPLICATE_NGRAM <= words.length; k++) {
+      const gram = words.slice(k, k + DUPLICATE_NGRAM);
+      if (gram.filter(w => !STOPWORDS.has(w)).length >= 2) grams.add(gram.join(' '));
+    }
+    const repeated = [...grams].find(g => seen.has(g));
+    if (repeated) bullets[i][j].push({ rule: 'duplicate', message: `"${repeated}" also appears in another bullet` });
+    for (const g of grams) seen.set(g, true);
+  }));
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function firstWord(text) {
+  return ((text || '').trim().match(/^[A-Za-z][\w'-]*/) || [''])[0];
+}
+
+// 'past' | 'present' | null (not a verb we can classify)
+function openerTense(word) {
+  const w = word.toLowerCase();
+  if (!w) return null;
+  if (/[^e]ed$|eed$/.test(w) || /ied$/.test(w) || (w.endsWith('ed') && w.length > 4) || IRREGULAR_PAST.has(w)) return 'past';
+  if (PRESENT_VERBS.has(w) || (w.endsWith('s') && PRESENT_VERBS.has(w.replace(/e?s$/, ''))) || PRESENT_VERBS.has(w.slice(0, -1))) return 'present';
+  return null;
+}
+
+function majorityTense(tenses) {
+  const past = tenses.filter(t => t === 'past').length;
+  const present = tenses.filter(t => t === 'present').length;
+  if (past === present) return null;
+  return past > present ? 'past' : 'present';
+}
+
+// "Build" → "Built", "Manages" → "Managed" — only for the message
+function pastHint(word) {
+  const w = word.toLowerCase().replace(/(?<=[^s])s$/, '').replace(/es$/, 'e');
+  const irregular = {
+    build: 'built', lead: 'led', run: 'ran', grow: 'grew', drive: 'drove', write: 'wrote',
+    sell: 'sold', teach: 'taught', oversee: 'oversaw', own: 'owned',
+  };
+  const past = irregular[w] || (w.endsWith('e') ? `${w}d` : w.endsWith('y') ? `${w.slice(0, -1)}ied` : `${w}ed`);
+  return past[0].toUpperCase() + past.slice(1);
+}
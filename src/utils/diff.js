@@ -0,0 +1,134 @@
+// diff.js — Base-vs-tailored bullet alignment and word-level diff
+//
+// WHY align against the raw base resume text:
+//   The base resume is stored as pasted/extracted text, not JSON, so there
+//   is no bullet-to-bullet mapping from the model. We recover one by
+//   matching each tailored bullet to the most similar line in the base
+//   text. Rewrites keep most of their content words (they must — the
+//   authenticity rules forbid inventing facts), so word overlap is a
+//   reliable signal. Pure functions — runs in the side panel, zero API calls.
+
+const MIN_SIMILARITY = 0.25; // below this a tailored bullet is "new", not a rewrite
+const MIN_BULLET_WORDS = 4;
+const BULLET_GLYPH = /^\s*(?:[•●▪■◦‣∙·*–—-]|\d{1,2}[.)])\s+/;
+
+// ─── extractBaseBullets ──────────────────────────────────────────────────────
+// Splits base resume text into bullet-sized lines. Lines wrapped by PDF or
+// Word export (continuation starts lowercase) are joined back onto their bullet.
+export function extractBaseBullets(text) {
+  const bullets = [];
+  let current = null;
+
+  for (const raw of (text || '').split('\n')) {
+    const line = raw.trim();
+    if (!line) { current = null; continue; }
+
+    if (BULLET_GLYPH.test(line)) {
+      current = line.replace(BULLET_GLYPH, '');
+      bullets.push(current);
+    } else if (current !== null && /^[a-z(]/.test(line)) {
+      current = `${current} ${line}`;
+      bullets[bullets.length - 1] = current;
+    } else {
+      current = line;
+      bullets.push(line);
+    }
+  }
+
+  return bullets.filter(b => b.split(/\s+/).length >= MIN_BULLET_WORDS);
+}
+
+// ─── alignBullets ────────────────────────────────────────────────────────────
+// Returns one array per experience entry, one { source, similarity } per
+// bullet. source is null when no base line is similar enough.
+// Greedy one-to-one: the strongest pairs claim their base lines first, so two
+// tailored bullets never both claim the same original.
+export function alignBullets(resume, baseText) {
+  const baseBullets = extractBaseBullets(baseText);
+  const baseWords = baseBullets.map(contentWords);
+
+  const pairs = [];
+  const result = (resume.experience || []).map((job, i) =>
+    (job.bullets || []).map((bullet, j) => {
+      const words = contentWords(bullet.text);
+      baseWords.forEach((bw, k) => {
+        const similarity = dice(words, bw);
+        if (similarity >= MIN_SIMILARITY) pairs.push({ i, j, k, similarity });
+      });
+      return { source: null, similarity: 0 };
+    })
+  );
+
+  pairs.sort((a, b) => b.similarity - a.similarity);
+  const claimed = new Set();
+  for (const { i, j, k, similarity } of pairs) {
+    if (result[i][j].source !== null || claimed.has(k)) continue;
+    result[i][j] = { source: baseBullets[k], similarity };
+    claimed.add(k);
+  }
+
+  return result;
+}
+
+// ─── diffWords ───────────────────────────────────────────────────────────────
+// Word-level LCS diff. Returns [{ op: 'same'|'del'|'add', text }] with
+// consecutive runs of the same op merged.
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = sameWord(a[i], b[j])
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (op, word) => {
+    const last = ops[ops.length - 1];
+    if (last?.op === op) last.text += ` ${word}`;
+    else ops.push({ op, text: word });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (sameWord(a[i], b[j]))            { push('same', b[j]); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) push('del', a[i++]);
+    else                                  push('add', b[j++]);
+  }
+  while (i < a.length) push('del', a[i++]);
+  while (j < b.length) push('add', b[j++]);
+
+  return ops;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function tokenize(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean);
+}
+
+// "Led" vs "led," is not a change worth highlighting
+function sameWord(x, y) {
+  return normalize(x) === normalize(y);
+}
+
+function normalize(word) {
+  return word.toLowerCase().replace(/^[^\w$%+#]+|[^\w%+#]+$/g, '');
+}
+
+function contentWords(text) {
+  return new Set(tokenize(text).map(normalize).filter(w => w.length > 2));
+}
+
+function dice(x, y) {
+  if (!x.size || !y.size) return 0;
+  let shared = 0;
+  for (const w of x) if (y.has(w)) shared++;
+  return (2 * shared) / (x.size + y.size);
+}
@@ -0,0 +1,166 @@
+// inventory.js — Achievement bank: every role's full set of bullets and projects
+//
+// WHY a bank next to the base resume:
+//   Base resumes are trimmed to a page, so tailoring could only reframe
+//   what survived the trim. The bank keeps everything — each role with all
+//   its bullets, projects and skills, items tagged with the skills they
+//   show — and in bank mode the model picks and rewrites the most relevant
+//   items per role instead. Verification treats the whole bank as source
+//   material, so a picked bullet isn't flagged for facts the page left out.
+//
+// Shape (stored as ros_inventory, imported / exported as JSON):
+//   { version: 1, roles: [{ company, title, dates, skills: [],
+//       bullets: [{ text, skills: [] }], projects: [{ name, text, skills: [] }] }] }
+//
+// Pure functions, no API calls. Used by background.js (save), prompts.js
+// (per-job selection), ai.js (verification source) and the side panel
+// (editor, diff source).
+
+import { documentTerms, SKILL_ALIASES } from './keywords.js';
+
+// WHY 8 + 3: a role rarely gets more than 5 bullets on the page; sending
+// the model a few spares to choose from is the point, sending all 30 of a
+// long-tenured role just burns input tokens on items it won't pick.
+const MAX_BULLETS_PER_ROLE = 8;
+const MAX_PROJECTS_PER_ROLE = 3;
+
+// A skill tag the posting names outweighs several shared words
+const TAG_WEIGHT = 3;
+
+const MAX_TEXT_LENGTH = 600;
+const ALIASES = new Map(Object.entries(SKILL_ALIASES).map(([name, aliases]) => [name.toLowerCase(), aliases]));
+const TAGS = /\s*\[([^\]]*)\]\s*$/;
+
+// ─── normalizeInventory ──────────────────────────────────────────────────────
+// Accepts a stored or imported bank (or a bare roles array) and returns
+// { inventory, skipped, error }. Items without text and roles left with
+// nothing in them are skipped; tags are trimmed and de-duplicated.
+export function normalizeInventory(raw) {
+  const roles = Array.isArray(raw) ? raw : raw?.roles;
+  if (!Array.isArray(roles)) {
+    return { inventory: null, skipped: 0, error: 'Expected a JSON object with a "roles" array.' };
+  }
+
+  let skipped = 0;
+  const items = (list, withName) => (Array.isArray(list) ? list : []).flatMap((item) => {
+    const text = cleanText(typeof item === 'string' ? item : item?.text);
+    if (!text) {
+      skipped++;
+      return [];
+    }
+    const entry = { text, skills: cleanTags(item?.skills) };
+    return [withName ? { name: cleanText(item?.name), ...entry } : entry];
+  });
+
+  const normalized = roles.flatMap((role) => {
+    const entry = {
+      company: cleanText(role?.company),
+      title: cleanText(role?.title),
+      dates: cleanText(role?.dates),
+      skills: cleanTags(role?.skills),
+      bullets: items(role?.bullets, false),
+      projects: items(role?.projects, true),
+    };
+    if (!entry.company && !entry.title && !entry.bullets.length && !entry.projects.length) {
+      skipped++;
+      return [];
+    }
+    return [entry];
+  });
+
+  return { inventory: { version: 1, roles: normalized }, skipped, error: null };
+}
+
+// ─── selectInventory ─────────────────────────────────────────────────────────
+// The bank trimmed to what one job needs: per role, the bullets and projects
+// most relevant to the posting, most relevant first. Relevance is skill tags
+// the posting mentions (×TAG_WEIGHT) plus words and phrases shared with it.
+// Ties keep the user's own order.
+export function selectInventory(inventory, jobDescription) {
+  const jobTerms = new Set(documentTerms(jobDescription || ''));
+  const mentions = skill => [skill, ...(ALIASES.get(skill.toLowerCase()) || [])]
+    .some(term => jobTerms.has(term.toLowerCase()));
+
+  const rank = (list, max) => list
+    .map((item, index) => ({
+      item,
+      index,
+      score: item.skills.filter(mentions).length * TAG_WEIGHT
+        + documentTerms(`${item.name || ''} ${item.text}`).filter(t => jobTerms.has(t)).length,
+    }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, max)
+    .map(({ item }) => item);
+
+  return {
+    version: 1,
+    roles: (inventory?.roles || []).map(role => ({
+      ...role,
+      skills: [...role.skills.filter(mentions), ...role.skills.filter(s => !mentions(s))],
+      bullets: rank(role.bullets, MAX_BULLETS_PER_ROLE),
+      projects: rank(role.projects, MAX_PROJECTS_PER_ROLE),
+    })),
+  };
+}
+
+// ─── inventoryToText ─────────────────────────────────────────────────────────
+// Plain text, one role header then one "- " line per item — the format the
+// prompt, verify.js and the diff view's bullet extraction all read.
+// options.tags: append "[skill, skill]" to each item (off for the diff view,
+// where tags would only dilute the word overlap).
+export function inventoryToText(inventory, { tags = true } = {}) {
+  const tagged = (text, skills) => (tags && skills.length ? `${text} [${skills.join(', ')}]` : text);
+
+  return (inventory?.roles || []).map(role => [
+    [role.company, role.title, role.dates].filter(Boolean).join(' | '),
+    ...role.bullets.map(b => `- ${tagged(b.text, b.skills)}`),
+    ...role.projects.map(p => `- ${tagged(p.name ? `Project ${p.name}: ${p.text}` : `Project: ${p.text}`, p.skills)}`),
+    ...(role.skills.length ? [`Skills: ${role.skills.join(', ')}`] : []),
+  ].join('\n')).join('\n\n');
+}
+
+export function hasInventory(inventory) {
+  return (inventory?.roles || []).some(role => role.bullets.length || role.projects.length);
+}
+
+// ─── Editor lines ────────────────────────────────────────────────────────────
+// Settings edits items one per line, tags in trailing brackets:
+//   "Cut p99 latency 40% [Go, Redis]"  ·  "Billing v2: rebuilt invoicing [Kafka]"
+export function parseTaggedLines(text, { named = false } = {}) {
+  return (text || '').split('\n').map(line => line.trim()).filter(Boolean).map((line) => {
+    const tags = line.match(TAGS);
+    let body = (tags ? line.slice(0, tags.index) : line).replace(/^[-•*]\s+/, '').trim();
+    const skills = tags ? cleanTags(tags[1].split(',')) : [];
+    if (!named) return { text: body, skills };
+
+    const name = body.match(/^([^:]{1,60}):\s+/);
+    if (name) body = body.slice(name[0].length);
+    return { name: name ? name[1].trim() : '', text: body, skills };
+  }).filter(item => item.text);
+}
+
+export function formatTaggedLines(items) {
+  return items.map((item) => {
+    const text = item.name ? `${item.name}: ${item.text}` : item.text;
+    return item.skills.length ? `${text} [${item.skills.join(', ')}]` : text;
+  }).join('\n');
+}
+
+// ─── Internal ────────────────────────────────────────────────────────────────
+function cleanText(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH) : '';
+}
+
+function cleanTags(value) {
+  const list = typeof value === 'string' ? value.split(',') : Array.isArray(value) ? value : [];
+  const seen = new Set();
+  return list
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim())
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
@@ -0,0 +1,248 @@
+// jd-parser.js — Split a job description into labelled sections
+//
+// WHY not just truncate:
+//   LinkedIn and most ATS pages open with company boilerplate and close with
+//   benefits and EEO statements. Slicing the first N characters routinely
+//   kept the "About us" blurb and cut the requirements — the one part the
+//   rewrite actually needs. We segment by headings, drop what never helps
+//   (benefits, legal boilerplate), and spend the prompt budget on
+//   requirements and responsibilities first.
+//
+// Pure functions, no API calls. Used by prompts.js (background), by
+// keywords.js and by the side panel's "Job breakdown" card.
+
+// ~500 tokens at ~4 chars/token. Denser than the old 1500-char slice
+// because boilerplate no longer eats into it.
+const JD_CHAR_BUDGET = 2000;
+
+// A trimmed section shorter than this isn't worth the tokens
+const MIN_TRIMMED_CHARS = 200;
+
+// Order sections are given prompt budget in. benefits + boilerplate never go.
+const PROMPT_PRIORITY = ['required', 'responsibilities', 'preferred', 'other', 'about'];
+
+export const SECTION_LABELS = {
+  about:            'About the company',
+  responsibilities: 'Responsibilities',
+  required:         'Required',
+  preferred:        'Preferred',
+  benefits:         'Benefits',
+  boilerplate:      'Legal / EEO',
+  other:            'Other',
+};
+
+// Heading patterns, checked in this order — "Preferred qualifications" must
+// hit preferred before required's "qualifications", "About you" must hit
+// required before about. Words that also open ordinary requirement lines
+// ("Experience with...", "You have 5 years...") only count as a whole heading.
+const HEADING_PATTERNS = [
+  ['boilerplate',      /^(equal (employment )?opportunity|eeo|eoe|accommodations?|privacy|e-verify|diversity (and|&) inclusion)\b/i],
+  ['benefits',         /^(benefits|perks|what we offer|we offer|compensation|salary|pay (range|transparency)|why (join|work)|total rewards|what's in it for you|our benefits)\b/i],
+  ['preferred',        /^(preferred|nice[- ]to[- ]haves?|bonus|(it'?s )?a plus|desired|ideally|good to have|extra credit)\b/i],
+  ['required',         /^(((minimum|basic|required) )?qualifications|requirements|what you('ll)? need|must[- ]haves?)\b/i],
+  ['required',         /^(required( skills| experience)?|what you('ll)? bring|what we('re)? looking for|who you are|about you|you (have|bring|are)|your (background|experience|skills|profile)|key (skills|requirements)|(skills|experience)( (and|&) (skills|experience))?)$/i],
+  ['responsibilities', /^(responsibilities|key responsibilities|what you('ll| will)( be)? (do|doing|work on)|the role|about the (role|job|position|opportunity)|the (job|position|opportunity)|your (role|impact|mission|day)|day[- ]to[- ]day|duties|in this role|(role|job|position) (overview|summary|description)|job description|overview)\b/i],
+  ['about',            /^(who we are|our (company|mission|story|team|culture)|company (overview|description)|the (company|team)|about (us|the (company|team)))\b/i],
+];
+// "About Acme" — a company name after "About" (case-sensitive, so "about 5
+// years of..." doesn't qualify)
+const ABOUT_COMPANY = /^About [A-Z0-9][\w&.'-]*( [A-Z0-9][\w&.'-]*){0,3}$/;
+
+// LinkedIn wraps everything under "About the job"; paragraphs under such a
+// catch-all heading are classified by content instead
+const GENERIC_HEADING = /^(about the job|job description|description|overview)$/i;
+
+const ABOUT_CONTENT = /\b(we are|we're|our (mission|company|customers|platform|team is)|founded in|headquartered|is a leading|backed by|join us)\b/i;
+const BOILERPLATE_CONTENT = /\b(equal (employment )?opportunity|regardless of (race|gender|age)|reasonable accommodations?|e-verify|will receive consideration for employment|does not discriminate|protected veteran)\b/i;
+const BULLET_GLYPH = /^\s*(?:[•●▪■◦‣∙·*–—-]|\d{1,2}[.)])\s+/;
+
+// Text with no line breaks longer than this is a flattened page, not one line
+const FLAT_TEXT_CHARS = 200;
+// Sentence ends, and bullet glyphs mid-line, are where a flattened JD broke
+const SENTENCE_BREAK = /(?<=[.!?])\s+(?=["'(]?[A-Z0-9])|\s+(?=[•●▪■◦‣∙]\s)/;
+const INLINE_HEADING = /^([^:.!?]{2,60}):\s+(\S.*)$/;
+
+// ─── parseJobDescription ─────────────────────────────────────────────────────
+// Returns { sections: [{ type, heading, text }] } in document order.
+// type is one of the SECTION_LABELS keys; heading is the original heading
+// line (null for text before the first heading).
+export function parseJobDescription(text) {
+  const sections = [];
+  let current = { type: 'other', heading: null, lines: [] };
+
+  for (const line of breakFlatText(text || '').split('\n')) {
+    const heading = matchHeading(line);
+    if (heading) {
+      sections.push(current);
+      current = { ...heading, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return {
+    sections: sections
+      .flatMap(splitByContent)
+      .filter(s => s.text),
+  };
+}
+
+// ─── planJobPrompt ───────────────────────────────────────────────────────────
+// Chooses what of a parsed JD goes into the prompt, within budgetChars.
+// Returns { text, sections } where each section gains use: full | trimmed | dropped.
+export function planJobPrompt(parsed, budgetChars = JD_CHAR_BUDGET) {
+  const plan = parsed.sections.map(s => ({ ...s, use: 'dropped', sent: '' }));
+  let remaining = budgetChars;
+
+  for (const type of PROMPT_PRIORITY) {
+    for (const section of plan.filter(s => s.type === type)) {
+      if (section.text.length <= remaining) {
+        section.use = 'full';
+        section.sent = section.text;
+      } else if (remaining >= MIN_TRIMMED_CHARS) {
+        section.use = 'trimmed';
+        section.sent = trimToLines(section.text, remaining);
+      }
+      remaining -= section.sent.length;
+    }
+  }
+
+  const text = PROMPT_PRIORITY
+    .flatMap(type => plan.filter(s => s.type === type && s.sent))
+    .map(s => `${SECTION_LABELS[s.type].toUpperCase()}:\n${s.sent}`)
+    .join('\n\n');
+
+  return { text, sections: plan.map(({ sent, ...s }) => s) };
+}
+
+// ─── sectionText ─────────────────────────────────────────────────────────────
+// Joined text of all sections of the given types.
+export function sectionText(parsed, types) {
+  return parsed.sections
+    .filter(s => types.includes(s.type))
+    .map(s => s.text)
+    .join('\n');
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function matchHeading(line) {
+  const label = line.trim()
+    .replace(/^#+\s*/, '')      // markdown headings
+    .replace(/\*\*|__/g, '')    // bold markers
+    .trim();
+  if (!label || label.length > 60 || BULLET_GLYPH.test(label)) return null;
+
+  const colon = label.endsWith(':');
+  const bare = label.replace(/:$/, '').trim();
+  if (!colon && (/[.!?,;]$/.test(bare) || bare.split(/\s+/).length > 5)) return null;
+
+  for (const [type, pattern] of HEADING_PATTERNS) {
+    if (pattern.test(bare)) return { type, heading: bare };
+  }
+  if (ABOUT_COMPANY.test(bare)) return { type: 'about', heading: bare };
+
+  // "Tech stack:" — clearly a heading, just not one we recognise
+  if (colon && bare.split(/\s+/).length <= 6) return { type: 'other', heading: bare };
+  return null;
+}
+
+// A JD pasted or scraped as one line ("...our mission. Requirements: 5+
+// years of Go. Experience with Kafka.") has no lines to find headings on.
+// Break it at sentences and bullet glyphs, one per line, and start a new
+// paragraph at each heading that opens a sentence — "Requirements: 5+
+// years", or without the colon "What you'll do Build the billing API".
+function breakFlatText(text) {
+  if (text.includes('\n') || text.length <= FLAT_TEXT_CHARS) return text;
+
+  const sections = [[]];
+  for (const sentence of text.split(SENTENCE_BREAK)) {
+    const split = sentenceHeading(sentence);
+    if (split) sections.push([split.heading, split.rest]);
+    else sections[sections.length - 1].push(sentence);
+  }
+  return sections.filter(lines => lines.length).map(lines => lines.join('\n')).join('\n\n');
+}
+
+// { heading, rest } when a recognised heading opens the sentence. Without a
+// colon the heading is the shortest run of up to six words that reads as
+// one and is followed by a capitalised word: "Preferred qualifications
+// Kubernetes..." but not "Experience with Kafka" or "Our team builds".
+function sentenceHeading(sentence) {
+  const inline = sentence.match(INLINE_HEADING);
+  if (inline) {
+    const heading = matchHeading(`${inline[1]}:`);
+    return heading && heading.type !== 'other' ? { heading: inline[1], rest: inline[2] } : null;
+  }
+
+  const words = sentence.split(/\s+/);
+  for (let n = 1; n <= Math.min(6, words.length - 1); n++) {
+    const next = words[n];
+    if (!/^(?:[A-Z]|[•●▪■◦‣∙]$)/.test(next)) continue;
+    const heading = matchHeading(words.slice(0, n).join(' '));
+    if (heading && heading.type !== 'other') return { heading: words.slice(0, n).join(' '), rest: words.slice(n).join(' ') };
+  }
+  return null;
+}
+
+// EEO lines get pulled out wherever they appear — line by line, so an EEO
+// sentence right after the last requirement ("...Kafka and PostgreSQL.
+// Acme is an equal opportunity employer.") doesn't take the requirements
+// with it. Under a catch-all heading (or before any heading), company
+// blurbs become 'about'.
+function splitByContent({ type, heading, lines }) {
+  const byContent = !heading || GENERIC_HEADING.test(heading);
+  const out = [];
+
+  for (const para of paragraphs(lines)) {
+    for (const chunk of boilerplateRuns(para)) {
+      let chunkType = type;
+      if (chunk.boilerplate) chunkType = 'boilerplate';
+      else if (byContent && !BULLET_GLYPH.test(chunk.text) && ABOUT_CONTENT.test(chunk.text)) chunkType = 'about';
+
+      const last = out[out.length - 1];
+      if (last?.type === chunkType) last.text += `\n\n${chunk.text}`;
+      else out.push({ type: chunkType, heading: out.length === 0 ? heading : null, text: chunk.text });
+    }
+  }
+
+  return out;
+}
+
+// A paragraph as runs of consecutive lines that are / aren't boilerplate
+function boilerplateRuns(para) {
+  const runs = [];
+  for (const line of para.split('\n')) {
+    const boilerplate = BOILERPLATE_CONTENT.test(line);
+    const last = runs[runs.length - 1];
+    if (last?.boilerplate === boilerplate) last.text += `\n${line}`;
+    else runs.push({ boilerplate, text: line });
+  }
+  return runs;
+}
+
+function paragraphs(lines) {
+  return lines
+    .join('\n')
+    .split(/\n\s*\n/)
+    .map(p => p.split('\n').map(l => l.trim()).filter(Boolean).join('\n'))
+    .filter(Boolean);
+}
+
+// Whole lines only — a requirement cut mid-sentence reads as a different
+// requirement. A first line too long to fit is cut at its last whole
+// sentence, or failing that its last whole word.
+function trimToLines(text, maxChars) {
+  let out = '';
+  for (const line of text.split('\n')) {
+    if (out.length + line.length + 1 > maxChars - 3) break;
+    out += (out ? '\n' : '') + line;
+  }
+  if (out) return `${out}\n…`;
+
+  const head = text.slice(0, maxChars - 2);
+  const sentenceEnd = Math.max(...['. ', '! ', '? '].map(end => head.lastIndexOf(end)));
+  const cut = sentenceEnd > 0 ? sentenceEnd + 1 : head.lastIndexOf(' ');
+  return `${head.slice(0, cut > 0 ? cut : maxChars - 3).trim()} …`;
+}
@@ -1,3 +1,8 @@
+import { parseJobDescription, sectionText } from "./jd-parser.js";
+import { SKILL_PACKS } from "./skill-packs.js";
+import { analyzeRequirements } from "./requirements.js";
+
+
 // ---------- HARD SKILLS ----------
 export const HARD_SKILLS = [
 
@@ -98,6 +103,19 @@ export const HARD_SKILLS = [
 ];
 
 
+// ---------- CONCEPT SKILLS ----------
+// Hard skills that are practices, not named products — ordinary words a
+// bullet uses in passing ("improved scalability with caching"). Keyword
+// matching still counts them; verify.js never asks the base resume to back
+// them up as tools. Packs list their own under `concepts`.
+const CONCEPT_SKILLS = [
+  "Algorithms","Microservices","Debugging","Monitoring","Logging",
+  "Observability","Authentication","Authorization","Cybersecurity",
+  "Scalability","Caching","Agile","Big Data","Web Applications",
+  "Mobile Applications","Load Balancing","Auto Scaling"
+];
+
+
 // ---------- SOFT SKILLS ----------
 export const SOFT_SKILLS = [
   "Communication",
@@ -127,13 +145,184 @@ export const SOFT_SKILLS = [
 ];
 
 
+// ---------- SKILL ALIASES ----------
+// Abbreviations, spelling and punctuation variants people actually write.
+// Keys must match a HARD_SKILLS / SOFT_SKILLS name exactly.
+// Left out on purpose: aliases that are ordinary words or collide with other
+// meanings ("CV" = curriculum vitae, "TF", "next", "lead", "rest", "express").
+// Version suffixes ("Python 3", "HTML5") are handled in detectSkills, not here.
+
+export const SKILL_ALIASES = {
+
+  // Programming Languages
+  "JavaScript": ["js","ecmascript","es6","es2015","vanilla js"],
+  "TypeScript": ["ts"],
+  "C++": ["cpp","c plus plus"],
+  "C#": ["csharp","c sharp"],
+  "Go": ["golang"],
+
+  // Web Development
+  "HTML": ["html5"],
+  "CSS": ["css3"],
+  "React": ["react.js","reactjs"],
+  "Next.js": ["nextjs"],
+  "Vue.js": ["vue","vuejs"],
+  "Angular": ["angularjs","angular.js"],
+  "Node.js": ["node","nodejs"],
+  "Express.js": ["expressjs"],
+  "REST APIs": ["restful","rest api","rest apis","restful apis"],
+  "GraphQL": ["gql"],
+  "Frontend Development": ["frontend","front end","front-end"],
+  "Backend Development": ["backend","back end","back-end"],
+  "Full Stack Development": ["full stack","full-stack","fullstack"],
+
+  // Software Engineering
+  "Object Oriented Programming": ["oop","object-oriented programming","object oriented design"],
+  "System Design": ["systems design"],
+  "Microservices": ["microservice","micro services","micro-services"],
+  "API Development": ["api design"],
+  "Unit Testing": ["unit tests"],
+  "Test Automation": ["automated testing","automation testing"],
+  "Code Reviews": ["code review"],
+  "Version Control": ["git"],
+
+  // DevOps & Infrastructure
+  "Kubernetes": ["k8s","kube"],
+  "CI/CD": ["cicd","ci cd","continuous integration","continuous delivery","continuous deployment"],
+  "Infrastructure as Code": ["iac"],
+  "Shell Scripting": ["bash","bash scripting","shell scripts"],
+  "Site Reliability Engineering": ["sre"],
+
+  // Cloud
+  "AWS": ["amazon web services"],
+  "Google Cloud Platform": ["gcp","google cloud"],
+  "Microsoft Azure": ["azure"],
+  "Serverless Architecture": ["serverless"],
+  "Load Balancing": ["load balancer","load balancers"],
+  "Auto Scaling": ["autoscaling"],
+
+  // Databases & Data Engineering
+  "PostgreSQL": ["postgres","psql"],
+  "MongoDB": ["mongo"],
+  "ETL Pipelines": ["etl","elt"],
+  "Data Warehousing": ["data warehouse"],
+  "Apache Spark": ["spark","pyspark"],
+  "Kafka": ["apache kafka"],
+  "Airflow": ["apache airflow"],
+
+  // AI / ML
+  "Machine Learning": ["ml"],
+  "Deep Learning": ["neural networks"],
+  "Natural Language Processing": ["nlp"],
+  "Scikit-learn": ["sklearn","scikit"],
+  "LLMs": ["llm","large language model","large language models"],
+  "Generative AI": ["genai","gen ai"],
+  "RAG Systems": ["rag","retrieval augmented generation"],
+
+  // Security
+  "JWT": ["json web token","json web tokens"],
+  "Cybersecurity": ["cyber security","information security","infosec"],
+
+  // Mobile
+  "Android Development": ["android"],
+  "iOS Development": ["ios"],
+
+  // Architecture & Scaling
+  "Performance Optimization": ["performance tuning"],
+  "Event Driven Architecture": ["event-driven","event driven"],
+
+  // Agile
+  "Proof of Concept": ["poc"],
+  "Technical Documentation": ["technical writing"],
+
+  // Soft skills
+  "Communication": ["communicator","communication skills"],
+  "Collaboration": ["collaborative","collaborate"],
+  "Teamwork": ["team player"],
+  "Problem Solving": ["problem-solving","problem solver","troubleshooting"],
+  "Analytical Thinking": ["analytical skills"],
+  "Leadership": ["leader"],
+  "Mentorship": ["mentoring","mentor","coaching"],
+  "Adaptability": ["adaptable"],
+  "Cross Functional Collaboration": ["cross-functional","cross functional teams"],
+  "Stakeholder Management": ["stakeholders","stakeholder"],
+  "Attention to Detail": ["detail-oriented","detail oriented"],
+  "Customer Focus": ["customer-focused","customer obsessed","customer centric"],
+  "Continuous Learning": ["growth mindset"]
+};
+
+
+const STOPWORDS = new Set([
+  "the","a","an","and","or","to","of","in","on","for",
+  "with","our","your","you","we","is","are","be","this",
+  "that","will","can","should","may"
+]);
+
+
+// ---------- TOKENIZER ----------
+// Keeps symbol-bearing names whole: "c++", "c#", ".net", "next.js", "ci/cd".
+// Spaces, commas, hyphens and brackets separate tokens. A "." only joins
+// when a letter/digit follows, so a sentence-final "Python." is "python".
+
+const TOKEN_PATTERN = /(?:\.(?=[a-z]))?[a-z0-9]+(?:[./][a-z0-9]+)*[+#]*/gi;
+
+// A skill never spans these: "...the problem. Solving..." is not
+// Problem Solving, and neither is "problem" ending one list item and
+// "solving" starting the next line.
+const PHRASE_BREAK = /[.!?;:\n•|]/;
+
+// Each token keeps its character offsets so matches can be shown as evidence.
+// "python3" → stem "python", "html5" → "html". Stems shorter than 3
+// letters are skipped so "s3" / "ec2" don't turn into stray "s" / "ec".
+function tokenize(text) {
+  const tokens = [];
+  for (const m of text.matchAll(TOKEN_PATTERN)) {
+    const term = m[0].toLowerCase();
+    if (STOPWORDS.has(term)) continue;
+    tokens.push({
+      term,
+      stem: term.match(/^([a-z]{3,})\d+$/)?.[1] || null,
+      raw: m[0],
+      start: m.index,
+      end: m.index + m[0].length
+    });
+  }
+  return tokens;
+}
+
+
+// Tokenized document + term → token positions, built once per text
+function prepareDoc(text) {
+  const tokens = tokenize(text || "");
+  const index = new Map();
+  tokens.forEach((t, i) => {
+    for (const key of [t.term, t.stem]) {
+      if (!key) continue;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(i);
+    }
+  });
+  return { text: text || "", tokens, index };
+}
+
+
 // ---------- AUTO BUILD SKILL GRAPH ----------
-// Converts skill list → { SkillName: ["normalized phrase"] }
+// Converts skill list → { SkillName: ["normalized phrase", ...aliases] }
+// Phrases go through the same tokenizer as document text, otherwise
+// "Next.js" or "Proof of Concept" could never match.
+
+function normalizePhrases(phrases) {
+  return [...new Set(
+    phrases
+      .map(phrase => tokenize(phrase).map(t => t.term).join(" "))
+      .filter(Boolean)
+  )];
+}
 
 function buildGraph(list) {
   const graph = {};
   for (const skill of list) {
-    graph[skill] = [skill.toLowerCase()];
+    graph[skill] = normalizePhrases([skill, ...(SKILL_ALIASES[skill] || [])]);
   }
   return graph;
 }
@@ -153,41 +342,198 @@ const SKILL_GRAPH = {
 };
 
 
-const STOPWORDS = new Set([
-  "the","a","an","and","or","to","of","in","on","for",
-  "with","our","your","you","we","is","are","be","this",
-  "that","will","can","should","may"
-]);
+// ---------- CUSTOM SKILL DICTIONARY ----------
+// Skills the user adds in Settings, stored in chrome.storage.local as
+// { version: 1, skills: [{ name, category, aliases }] }. Merged over the
+// built-in graph per analysis: a custom entry named like a built-in skill
+// keeps the built-in aliases, adds its own and takes its category.
+
+export const SKILL_CATEGORIES = ["hard", "soft", "other"];
+
+const MAX_SKILL_NAME_LENGTH = 60;
+
+
+// Cleans anything that claims to be a dictionary (storage, an imported
+// file). Returns { dictionary, skipped, error } — skipped counts entries
+// that were dropped; error is set only when the shape is unusable.
+export function normalizeSkillDictionary(raw) {
 
+  const entries = Array.isArray(raw) ? raw : raw?.skills;
+  if (!Array.isArray(entries)) {
+    return { dictionary: null, skipped: 0, error: "Expected a JSON object with a \"skills\" array." };
+  }
+
+  const byName = new Map(); // lowercased name → entry; a later duplicate merges in
+  let skipped = 0;
 
+  for (const entry of entries) {
+    const name = typeof entry?.name === "string" ? entry.name.trim() : "";
+    if (!name || name.length > MAX_SKILL_NAME_LENGTH || !normalizePhrases([name]).length) {
+      skipped++;
+      continue;
+    }
 
+    const category = SKILL_CATEGORIES.includes(entry.category) ? entry.category : "hard";
+    const aliases = (typeof entry.aliases === "string" ? entry.aliases.split(",") : entry.aliases || [])
+      .filter(a => typeof a === "string")
+      .map(a => a.trim())
+      .filter(a => a && a.toLowerCase() !== name.toLowerCase());
+
+    const key = name.toLowerCase();
+    const prev = byName.get(key);
+    byName.set(key, {
+      name,
+      category,
+      aliases: [...new Set([...(prev?.aliases || []), ...aliases])]
+    });
+  }
 
-function normalize(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s]/g, " ")
-    .split(/\s+/)
-    .filter(w => w && !STOPWORDS.has(w));
+  return {
+    dictionary: { version: 1, skills: [...byName.values()] },
+    skipped,
+    error: null
+  };
 }
 
 
-function detectSkills(tokens, vocab) {
+// ---------- MERGED SKILL GRAPH ----------
+// Built-in graph → active industry packs (skill-packs.js) → the user's
+// custom dictionary, later layers winning. Returns { graph, weights } where
+// weights maps pack skills to their pack's category-weight override.
 
-  const detected = new Set();
-  const tokenSet = new Set(tokens);
+function mergeSkillGraph(customSkills, packs) {
 
-  for (const [skill, synonyms] of Object.entries(vocab)) {
+  if (!customSkills.length && !packs.length) return { graph: SKILL_GRAPH, weights: new Map() };
 
-    for (const synonym of synonyms) {
+  const graph = Object.fromEntries(
+    SKILL_CATEGORIES.map(category => [category, { ...SKILL_GRAPH[category] }])
+  );
+  const weights = new Map();
 
-      const parts = synonym.split(" ");
+  for (const id of packs) {
+    const pack = SKILL_PACKS[id];
+    if (!pack) continue;
+    for (const category of SKILL_CATEGORIES) {
+      for (const name of pack[category] || []) {
+        addSkill(graph, name, category, [...(SKILL_ALIASES[name] || []), ...(pack.aliases?.[name] || [])]);
+        if (pack.weights?.[category]) weights.set(name, pack.weights[category]);
+      }
+    }
+  }
 
-      const match = parts.every(p => tokenSet.has(p));
+  for (const { name, category, aliases } of customSkills) {
+    addSkill(graph, name, category, aliases);
+  }
 
-      if (match) {
-        detected.add(skill);
-        break;
+  return { graph, weights };
+}
+
+
+// A name already in the graph (any category, any case) keeps its phrases,
+// gains the new aliases and moves to the new category
+function addSkill(graph, name, category, aliases) {
+  let existingPhrases = [];
+  for (const cat of SKILL_CATEGORIES) {
+    const existing = Object.keys(graph[cat]).find(k => k.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      existingPhrases = graph[cat][existing];
+      delete graph[cat][existing];
+    }
+  }
+  graph[category][name] = normalizePhrases([name, ...aliases, ...existingPhrases]);
+}
+
+
+// ---------- SKILL PACK DETECTION ----------
+// A pack is suggested when the base resume names at least
+// PACK_DETECT_MIN_SKILLS of its hard skills. Skills that are also built-in
+// don't count — an engineer who knows SQL isn't a data-analytics profile.
+
+const PACK_DETECT_MIN_SKILLS = 3;
+
+// Returns pack ids, strongest signal first
+export function detectSkillPacks(resumeText) {
+
+  const doc = prepareDoc(resumeText);
+  const builtIn = new Set(HARD_SKILLS.map(s => s.toLowerCase()));
+
+  return Object.entries(SKILL_PACKS)
+    .map(([id, pack]) => {
+      const own = pack.hard.filter(name => !builtIn.has(name.toLowerCase()));
+      const vocab = Object.fromEntries(own.map(name =>
+        [name, normalizePhrases([name, ...(pack.aliases?.[name] || [])])]
+      ));
+      return { id, found: detectSkills(doc, vocab).size };
+    })
+    .filter(p => p.found >= PACK_DETECT_MIN_SKILLS)
+    .sort((a, b) => b.found - a.found)
+    .map(p => p.id);
+}
+
+
+// ---------- NAMED TOOLS ----------
+// Tools (hard skills minus CONCEPT_SKILLS and pack concepts) from the same
+// merged graph analyzeKeywords uses: built-in, active packs, custom
+// dictionary. The graph is merged once per finder. verify.js uses both:
+//   mentioned(text) — every tool the text refers to, any case, any alias.
+//                     What the base resume can back a claim with.
+//   named(text)     — tools the text names as products: written with a
+//                     capital, digit or symbol ("Kafka", "k8s", "node.js"),
+//                     never as its opening word. "react quickly", "each
+//                     node in the cluster" or a leading "Swift rollout" are
+//                     prose, not claims about tooling.
+
+export function hardSkillFinder({ customSkills = [], packs = [] } = {}) {
+
+  const { graph } = mergeSkillGraph(customSkills, packs);
+  const concepts = new Set([
+    ...CONCEPT_SKILLS,
+    ...packs.flatMap(id => SKILL_PACKS[id]?.concepts || [])
+  ].map(name => name.toLowerCase()));
+  const tools = Object.fromEntries(
+    Object.entries(graph.hard).filter(([name]) => !concepts.has(name.toLowerCase()))
+  );
+
+  return {
+    mentioned: text => new Set(detectSkills(prepareDoc(text), tools).keys()),
+    named(text) {
+      const doc = prepareDoc(text);
+      const opener = doc.text.match(/^\s*\S+/)?.[0].length || 0;
+      const named = new Set();
+      for (const [skill, matches] of detectSkills(doc, tools)) {
+        if (matches.some(({ start, end }) => start >= opener && /[A-Z0-9+#./&]/.test(doc.text.slice(start, end)))) {
+          named.add(skill);
+        }
       }
+      return named;
+    }
+  };
+}
+
+
+// JD sections that state what the job needs. Skills named only in the
+// company blurb, benefits or EEO text ("Teams", "People") aren't requirements.
+const JD_SKILL_SECTIONS = ["required", "preferred", "responsibilities", "other"];
+
+
+// Returns Map(skill → [{ start, end }]) — every place a skill phrase (or
+// one of its aliases) occurs as a contiguous run of tokens.
+function detectSkills(doc, vocab) {
+
+  const detected = new Map();
+
+  for (const [skill, phrases] of Object.entries(vocab)) {
+
+    const matches = new Map(); // start → match, so "rest api" + "rest apis" count once
+
+    for (const phrase of phrases) {
+      for (const match of findPhrase(doc, phrase.split(" "))) {
+        if (!matches.has(match.start)) matches.set(match.start, match);
+      }
+    }
+
+    if (matches.size > 0) {
+      detected.set(skill, [...matches.values()].sort((a, b) => a.start - b.start));
     }
   }
 
@@ -195,12 +541,190 @@ function detectSkills(tokens, vocab) {
 }
 
 
+function findPhrase(doc, parts) {
+
+  const found = [];
+
+  for (const i of doc.index.get(parts[0]) || []) {
+
+    if (i + parts.length > doc.tokens.length) continue;
+
+    const ok = parts.every((part, k) => {
+      const token = doc.tokens[i + k];
+      if (token.term !== part && token.stem !== part) return false;
+      if (k > 0 && PHRASE_BREAK.test(doc.text.slice(doc.tokens[i + k - 1].end, token.start))) return false;
+      return parts.length > 1 || !isAmbiguousShort(token, doc.text);
+    });
+
+    if (ok) {
+      found.push({ start: doc.tokens[i].start, end: doc.tokens[i + parts.length - 1].end });
+    }
+  }
+
+  return found;
+}
+
+
+// Lone 1–2 letter names ("Go", "R", "C", "JS") only count when written with
+// a capital and not hyphenated on: "go" is a verb, "C-level" isn't the language.
+function isAmbiguousShort(token, text) {
+  if (!/^[a-z]{1,2}$/.test(token.term)) return false;
+  return token.raw === token.term || text[token.end] === "-";
+}
+
+
+// Up to two surrounding-text snippets per skill, for the UI's evidence tooltip
+function evidenceFor(doc, matches) {
+  return (matches || []).slice(0, 2).map(({ start, end }) => {
+    const from = Math.max(0, start - 40);
+    const to = Math.min(doc.text.length, end + 40);
+    const squash = str => str.replace(/\s+/g, " ");
+    return {
+      start,
+      end,
+      before: (from > 0 ? "…" : "") + squash(doc.text.slice(from, start)).trimStart(),
+      match: doc.text.slice(start, end),
+      after: squash(doc.text.slice(end, to)).trimEnd() + (to < doc.text.length ? "…" : "")
+    };
+  });
+}
+
+
+// Unique unigrams + adjacent-pair bigrams of a text — everything IDF needs
+// to know about a document. This is what career memory stores per past JD
+// (not the full text: a few KB per posting instead of tens).
+export function documentTerms(text) {
+  const doc = prepareDoc(text);
+  return [...new Set([
+    ...tfidfTerms(doc.text),
+    ...candidateBigrams(doc).map(b => b.term)
+  ])];
+}
+
+
 function calcScore(matched, total) {
   if (!total) return 0;
   return Math.round((matched / total) * 100);
 }
 
 
+// ---------- OVERALL SCORE ----------
+// Weighted skill coverage + TF-IDF text similarity, 0–100.
+// Hard skills are what recruiters and ATS filters key on; "other" is
+// generic vocabulary ("teams", "products") that barely moves the needle.
+// A skill the JD lists under "required" counts half again.
+
+const CATEGORY_WEIGHTS = { hard: 3, soft: 1, other: 0.25 };
+const PRIORITY_WEIGHTS = { required: 1.5, preferred: 1, mentioned: 1 };
+const SCORE_WEIGHTS = { skills: 0.75, text: 0.25 };
+
+// Real JD/resume pairs almost never exceed 0.5 cosine — treat that as 100%
+const COSINE_CEILING = 0.5;
+
+
+// skillWeights: per-skill category weight overrides from active skill packs
+function calcOverallScore(results, cosine, skillWeights) {
+
+  let earned = 0;
+  let possible = 0;
+
+  for (const [category, data] of Object.entries(results)) {
+    for (const skill of [...data.matched, ...data.missing]) {
+      const weight = (skillWeights.get(skill) ?? CATEGORY_WEIGHTS[category]) * PRIORITY_WEIGHTS[skillPriority(skill, data)];
+      possible += weight;
+      if (data.matched.includes(skill)) earned += weight;
+    }
+  }
+
+  const skills = possible ? Math.round((earned / possible) * 100) : null;
+  const text = Math.round(Math.min(1, cosine / COSINE_CEILING) * 100);
+
+  // No dictionary skills in the JD at all — text similarity is all we have
+  const overall = skills === null
+    ? text
+    : Math.round(SCORE_WEIGHTS.skills * skills + SCORE_WEIGHTS.text * text);
+
+  return {
+    overall,
+    skills,
+    text,
+    cosine: Math.round(cosine * 100) / 100,
+    weights: { ...SCORE_WEIGHTS, categories: CATEGORY_WEIGHTS }
+  };
+}
+
+
+// ---------- TF-IDF TEXT SIMILARITY ----------
+// The skill score only sees dictionary skills. Cosine similarity over
+// TF-IDF vectors of the two full texts catches the rest of the shared
+// vocabulary (domain terms, products, responsibilities).
+// IDF comes from the compared texts plus an optional corpus of term lists
+// (documentTerms() of past job descriptions, kept in career memory); with
+// no corpus, terms that appear in only one of the two simply weigh more.
+
+const TFIDF_STOPWORDS = new Set([
+  "about","as","at","by","from","have","has","had","it","its","not","all",
+  "any","their","they","them","who","what","which","when","where","more",
+  "other","such","also","into","us","new","well","including","etc","within",
+  "across","using","use","used","able","must","work","working","year","years",
+  "per","via","while","how","if","but","than","very","most","some"
+]);
+
+
+function tfidfTerms(text) {
+  return tokenize(text || "")
+    .map(t => t.stem || t.term)
+    .filter(term => term.length > 1 && /[a-z]/.test(term) && !TFIDF_STOPWORDS.has(term));
+}
+
+
+function termCounts(terms) {
+  const counts = new Map();
+  for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+  return counts;
+}
+
+
+// Smoothed IDF (as in scikit-learn): ln((1 + N) / (1 + df)) + 1
+function idfWeights(termSets) {
+  const df = new Map();
+  for (const set of termSets) {
+    for (const term of set) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const n = termSets.length;
+  const idf = new Map();
+  for (const [term, count] of df) idf.set(term, Math.log((1 + n) / (1 + count)) + 1);
+  return idf;
+}
+
+
+export function tfidfCosine(textA, textB, corpus = []) {
+
+  const a = termCounts(tfidfTerms(textA));
+  const b = termCounts(tfidfTerms(textB));
+  if (!a.size || !b.size) return 0;
+
+  const idf = idfWeights([
+    new Set(a.keys()),
+    new Set(b.keys()),
+    ...corpus.map(terms => new Set(terms))
+  ]);
+
+  const weight = (counts, term) => (counts.get(term) || 0) * idf.get(term);
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (const term of a.keys()) {
+    normA += weight(a, term) ** 2;
+    dot += weight(a, term) * weight(b, term);
+  }
+  for (const term of b.keys()) normB += weight(b, term) ** 2;
+
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+
 
 function impactLabel(category) {
   if (category === "hard") return "High Impact";
@@ -208,26 +732,12 @@ function impactLabel(category) {
   return "Low Impact";
 }
 
-// function detectTitleMatch(jd, resume) {
-//   return /software engineer/i.test(jd) &&
-//          /software engineer/i.test(resume);
-// }
-
-// function detectDegreeGap(jd, resume) {
-
-//   if (/ph\.?d/i.test(jd) && !/ph\.?d/i.test(resume)) {
-//     return {
-//       status: "gap",
-//       message:
-//         "Be advised! Your resume shows you have a Master's degree however the job posting prefers a Ph.D."
-//     };
-//   }
-
-//   return {
-//     status: "ok",
-//     message: "Congratulations! Your resume matches the degree requirements."
-//   };
-// }
+// Where the JD asks for a skill: "required" beats "preferred" if both
+function skillPriority(skill, data) {
+  if (data.required.has(skill)) return "required";
+  if (data.preferred.has(skill)) return "preferred";
+  return "mentioned";
+}
 
 
 function formatCategory(category, data) {
@@ -238,7 +748,12 @@ function formatCategory(category, data) {
   for (const skill of data.matched) {
     skills.push({
       name: skill,
-      status: "matched"
+      status: "matched",
+      priority: skillPriority(skill, data),
+      evidence: {
+        jd: evidenceFor(data.jdDoc, data.jdMatches.get(skill)),
+        resume: evidenceFor(data.resumeDoc, data.resumeMatches.get(skill))
+      }
     });
   }
 
@@ -246,7 +761,12 @@ function formatCategory(category, data) {
   for (const skill of data.missing) {
     skills.push({
       name: skill,
-      status: "missing"
+      status: "missing",
+      priority: skillPriority(skill, data),
+      evidence: {
+        jd: evidenceFor(data.jdDoc, data.jdMatches.get(skill)),
+        resume: []
+      }
     });
   }
 
@@ -271,42 +791,338 @@ function formatCategory(category, data) {
   };
 }
 
-export function analyzeKeywords(jobDescription, resumeText) {
+// ---------- KEYWORD PLACEMENT ----------
+// How the tailored resume uses the posting's skills. A skill that only
+// sits in the skills list passes a keyword filter but tells a recruiter
+// nothing; one repeated in every bullet reads as stuffing (and some ATS
+// penalise it). Runs on the structured resume, after tailoring or an edit.
+
+// More mentions than this — or a larger share of all words — is stuffing
+const STUFFING_MAX_MENTIONS = 4;
+const STUFFING_MAX_DENSITY = 0.03;
+
+
+// analysis — analyzeKeywords() of the JD against the base resume, so
+// "omitted" means the base resume backs the skill but the rewrite dropped it.
+// options.customSkills — same dictionary the analysis ran with.
+// Returns {
+//   skills:  [{ name, category, priority, placement, where: { summary, skills, bullets }, mentions }],
+//   stuffed: [{ name, mentions, density }],
+//   omitted: [name],   hard skills only
+//   totalWords
+// }
+// placement is "context" (summary or bullets), "skills-only" or "missing".
+export function analyzePlacement(resume, analysis, { customSkills = [] } = {}) {
+
+  const { graph } = mergeSkillGraph(customSkills, analysis.packs || []);
+
+  const parts = {
+    summary: prepareDoc(resume.summary || ""),
+    // One skill per line, so adjacent entries can't join into a phrase
+    skills: prepareDoc((resume.skills || []).join("\n")),
+    bullets: prepareDoc(
+      (resume.experience || [])
+        .flatMap(job => (job.bullets || []).map(b => b.text || ""))
+        .join("\n")
+    )
+  };
+  const totalWords = Object.values(parts).reduce((sum, doc) => sum + doc.tokens.length, 0);
 
-  const jdTokens = normalize(jobDescription);
-  const resumeTokens = normalize(resumeText);
+  const skills = [];
+
+  for (const [category, data] of [["hard", analysis.hardSkills], ["soft", analysis.softSkills]]) {
+
+    const vocab = Object.fromEntries(
+      data.skills
+        .filter(skill => graph[category][skill.name])
+        .map(skill => [skill.name, graph[category][skill.name]])
+    );
+    const found = Object.fromEntries(
+      Object.entries(parts).map(([part, doc]) => [part, detectSkills(doc, vocab)])
+    );
+
+    for (const skill of data.skills) {
+      if (!vocab[skill.name]) continue;
+      const where = {
+        summary: found.summary.get(skill.name)?.length || 0,
+        skills: found.skills.get(skill.name)?.length || 0,
+        bullets: found.bullets.get(skill.name)?.length || 0
+      };
+      const mentions = where.summary + where.skills + where.bullets;
+      skills.push({
+        name: skill.name,
+        category,
+        priority: skill.priority,
+        baseStatus: skill.status,
+        placement: where.summary + where.bullets > 0 ? "context" : where.skills > 0 ? "skills-only" : "missing",
+        where,
+        mentions
+      });
+    }
+  }
+
+  const stuffed = skills
+    .map(s => ({ name: s.name, mentions: s.mentions, density: totalWords ? s.mentions / totalWords : 0 }))
+    .filter(s => s.mentions > STUFFING_MAX_MENTIONS || (s.mentions > 2 && s.density > STUFFING_MAX_DENSITY))
+    .sort((a, b) => b.mentions - a.mentions);
+
+  const omitted = skills
+    .filter(s => s.category === "hard" && s.baseStatus === "matched" && s.placement === "missing")
+    .map(s => s.name);
+
+  return {
+    skills: skills.map(({ baseStatus, ...s }) => s),
+    stuffed,
+    omitted,
+    totalWords
+  };
+}
+
+
+// ---------- BEFORE / AFTER ----------
+// Two analyses of the same posting — base resume vs tailored resume — as a
+// delta. Stored with the session, so History can show what each tailoring
+// bought. Returns {
+//   overall:    { before, after, delta },
+//   categories: { hard: { before, after, delta }, soft: ..., other: ... },
+//   newlyMatched: [name], lost: [name]
+// }
+
+export function compareKeywordAnalyses(before, after) {
+
+  const delta = (a, b) => ({ before: a, after: b, delta: b - a });
+  const matchedNames = analysis => new Set(
+    [analysis.hardSkills, analysis.softSkills, analysis.otherSkills]
+      .flatMap(c => c.skills.filter(s => s.status === "matched").map(s => s.name))
+  );
+  const wasMatched = matchedNames(before);
+  const isMatched = matchedNames(after);
+
+  return {
+    overall: delta(before.score.overall, after.score.overall),
+    categories: {
+      hard: delta(before.hardSkills.score, after.hardSkills.score),
+      soft: delta(before.softSkills.score, after.softSkills.score),
+      other: delta(before.otherSkills.score, after.otherSkills.score)
+    },
+    newlyMatched: [...isMatched].filter(name => !wasMatched.has(name)),
+    lost: [...wasMatched].filter(name => !isMatched.has(name))
+  };
+}
+
+
+// ---------- TERM DISCOVERY ----------
+// Salient JD terms the skill dictionary doesn't know: "Snowflake", "dbt",
+// "HIPAA", "SOC 2". Candidates are unigrams and adjacent pairs, ranked by
+// TF × IDF against past job descriptions, so words every posting uses
+// ("drive", "ensure", "stakeholders") sink.
+//
+// WHY the corpus gate: with fewer than MIN_CORPUS_DOCS past JDs there is no
+// IDF signal to tell "dbt" from "drive", so until then only terms that
+// look like names (capitalised mid-sentence, ALL CAPS, "SOC 2") qualify.
+
+const MIN_CORPUS_DOCS = 3;
+const MAX_DISCOVERED_TERMS = 12;
+
+// Words every posting uses — excluded even when capitalised in a heading-ish line
+const JOB_POSTING_FILLER = new Set([
+  "experience","team","teams","role","company","opportunity","skills","ability",
+  "strong","environment","work","join","candidate","candidates","position",
+  "job","responsibilities","requirements","qualifications","preferred","required",
+  "benefits","including","help","support","ensure","drive","build","develop",
+  "develops","building","understanding","knowledge","excellent","good","great",
+  "plus","bonus","degree","equivalent","related","field","time","full","part",
+  "remote","hybrid","office","location","salary","apply","status","employer",
+  "you'll","we're","world","people","customers","products","product","business"
+]);
+
+
+// Looks like a name: capitalised mid-sentence, ALL CAPS, or letters mixed
+// with digits/symbols. A capitalised sentence-first word proves nothing.
+function isNameLike(token, prevToken, text) {
+  if (/[0-9+#./]/.test(token.raw) && /[a-z]/i.test(token.raw)) return true;
+  if (/^[A-Z]{2,}$/.test(token.raw)) return true;
+  if (!/^[A-Z]/.test(token.raw)) return false;
+  const gap = prevToken ? text.slice(prevToken.end, token.start) : "\n";
+  return !PHRASE_BREAK.test(gap) && !/^\s*[-–•*]\s*$/.test(gap);
+}
+
+
+function candidateBigrams(doc) {
+  const pairs = [];
+  for (let i = 0; i + 1 < doc.tokens.length; i++) {
+    const [a, b] = [doc.tokens[i], doc.tokens[i + 1]];
+    // Only truly adjacent words: tokenize() drops stopwords, so a gap of
+    // " and " or " with " would otherwise glue unrelated terms together
+    if (!/^[ \t]*-?[ \t]*$/.test(doc.text.slice(a.end, b.start))) continue;
+    pairs.push({ term: `${a.term} ${b.term}`, i });
+  }
+  return pairs;
+}
+
+
+function discoverTerms(jdDoc, resumeDoc, { corpus, exclude, skillSpans }) {
+
+  const useIdf = corpus.length >= MIN_CORPUS_DOCS;
+  const idf = useIdf ? idfWeights(corpus.map(terms => new Set(terms))) : null;
+  const idfOf = term => idf?.get(term) ?? Math.log(1 + corpus.length) + 1;
+
+  const inSkill = t => skillSpans.some(([start, end]) => t.start < end && t.end > start);
+  const excluded = new Set(exclude.flatMap(name => tokenize(name).map(t => t.term)));
+  const usable = t =>
+    !inSkill(t) && !excluded.has(t.term) && !JOB_POSTING_FILLER.has(t.term) &&
+    !TFIDF_STOPWORDS.has(t.term) && /[a-z]/.test(t.term) && t.term.length > 1;
+
+  // term → { count, nameLike, forms: Map(raw → count), at: [{ start, end }] }
+  const candidates = new Map();
+  const add = (term, raw, nameLike, span) => {
+    if (!candidates.has(term)) candidates.set(term, { count: 0, nameLike: false, forms: new Map(), at: [] });
+    const c = candidates.get(term);
+    c.count++;
+    c.nameLike = c.nameLike || nameLike;
+    c.forms.set(raw, (c.forms.get(raw) || 0) + 1);
+    c.at.push(span);
+  };
+
+  const tokens = jdDoc.tokens;
+  tokens.forEach((t, i) => {
+    if (!usable(t) || t.term.length < 3) return;
+    add(t.term, t.raw, isNameLike(t, tokens[i - 1], jdDoc.text), { start: t.start, end: t.end });
+  });
+
+  for (const { term, i } of candidateBigrams(jdDoc)) {
+    const [a, b] = [tokens[i], tokens[i + 1]];
+    if (!usable(a) || inSkill(b) || excluded.has(b.term)) continue;
+    const aName = isNameLike(a, tokens[i - 1], jdDoc.text);
+    // "SOC 2", "Looker Studio", or (with a corpus) "data governance"
+    const nameLike = aName && (/^\d+$/.test(b.term) || isNameLike(b, a, jdDoc.text));
+    if (!nameLike && (!useIdf || !usable(b))) continue;
+    add(term, jdDoc.text.slice(a.start, b.end), nameLike, { start: a.start, end: b.end });
+  }
+
+  const ranked = [...candidates.entries()]
+    .filter(([, c]) => c.nameLike || useIdf)
+    .map(([term, c]) => ({
+      term,
+      c,
+      // Pairs get a small bonus: "feature flags" says more than "feature"
+      score: c.count * idfOf(term) * (term.includes(" ") ? 1.5 : 1) * (c.nameLike ? 1.5 : 1)
+    }))
+    .sort((x, y) => y.score - x.score);
+
+  // Drop a word already covered by a chosen pair ("soc" once "soc 2" is in)
+  const chosen = [];
+  for (const item of ranked) {
+    if (chosen.length >= MAX_DISCOVERED_TERMS) break;
+    if (chosen.some(ch => ch.term.split(" ").includes(item.term) || item.term.split(" ").includes(ch.term))) continue;
+    chosen.push(item);
+  }
+
+  const skills = chosen.map(({ term, c }) => {
+    const name = [...c.forms.entries()].sort((x, y) => y[1] - x[1])[0][0];
+    const inResume = findPhrase(resumeDoc, term.split(" "));
+    return {
+      name,
+      status: inResume.length ? "matched" : "missing",
+      priority: "mentioned",
+      evidence: {
+        jd: evidenceFor(jdDoc, c.at),
+        resume: evidenceFor(resumeDoc, inResume)
+      }
+    };
+  });
+
+  return {
+    impact: useIdf ? "Rare in past postings" : "Named in this posting",
+    title: "Other terms in this posting",
+    score: calcScore(skills.filter(s => s.status === "matched").length, skills.length),
+    total: skills.length,
+    missingCount: skills.filter(s => s.status === "missing").length,
+    skills
+  };
+}
+
+
+// options.corpus  — documentTerms() of past JDs (career memory), for IDF
+// options.exclude — names that aren't keywords (the hiring company)
+// options.customSkills — the Settings dictionary's skills, merged over SKILL_GRAPH
+// options.packs — active skill-pack ids (skill-packs.js)
+// options.job — { title, location } of the detected posting, for requirement checks
+export function analyzeKeywords(jobDescription, resumeText, { corpus = [], exclude = [], customSkills = [], packs = [], job = {} } = {}) {
+
+  const { graph: skillGraph, weights: skillWeights } = mergeSkillGraph(customSkills, packs);
+
+  const jobStructure = parseJobDescription(jobDescription);
+
+  // Fall back to the whole text when no section qualifies (e.g. a JD that
+  // is one unlabelled company paragraph)
+  const jdDoc = prepareDoc(
+    sectionText(jobStructure, JD_SKILL_SECTIONS) || jobDescription
+  );
+  const requiredDoc = prepareDoc(sectionText(jobStructure, ["required"]));
+  const preferredDoc = prepareDoc(sectionText(jobStructure, ["preferred"]));
+  const resumeDoc = prepareDoc(resumeText);
 
   const results = {};
 
   for (const category of ["hard","soft","other"]) {
 
     const jdSkills =
-      detectSkills(jdTokens, SKILL_GRAPH[category]);
+      detectSkills(jdDoc, skillGraph[category]);
 
     const resumeSkills =
-      detectSkills(resumeTokens, SKILL_GRAPH[category]);
+      detectSkills(resumeDoc, skillGraph[category]);
 
     const matched =
-      [...jdSkills].filter(s => resumeSkills.has(s));
+      [...jdSkills.keys()].filter(s => resumeSkills.has(s));
 
     const missing =
-      [...jdSkills].filter(s => !resumeSkills.has(s));
+      [...jdSkills.keys()].filter(s => !resumeSkills.has(s));
 
     results[category] = {
       matched,
       missing,
-      score: calcScore(matched.length, jdSkills.size)
+      score: calcScore(matched.length, jdSkills.size),
+      required: detectSkills(requiredDoc, skillGraph[category]),
+      preferred: detectSkills(preferredDoc, skillGraph[category]),
+      jdDoc,
+      resumeDoc,
+      jdMatches: jdSkills,
+      resumeMatches: resumeSkills
     };
   }
 
+  const matchedKeywords = [...results.hard.matched, ...results.soft.matched];
+
   return {
 
+    score: calcOverallScore(results, tfidfCosine(jdDoc.text, resumeDoc.text, corpus), skillWeights),
+
     hardSkills: formatCategory("hard", results.hard),
     softSkills: formatCategory("soft", results.soft),
     otherSkills: formatCategory("other", results.other),
 
-    // titleMatch: detectTitleMatch(jobDescription, resumeText),
+    discoveredTerms: discoverTerms(jdDoc, resumeDoc, {
+      corpus,
+      exclude,
+      skillSpans: Object.values(results).flatMap(r =>
+        [...r.jdMatches.values()].flat().map(m => [m.start, m.end])
+      )
+    }),
+
+    // Flat lists for career memory (session keywordsUsed) and the prompt.
+    // "other" is left out — "Teams" is not a keyword anyone tailors for.
+    matchedKeywords,
+    missingKeywords: [...results.hard.missing, ...results.soft.missing],
+    jdKeywords: [...matchedKeywords, ...results.hard.missing, ...results.soft.missing],
+
+    // Same sections the prompt is built from — shown as "Job breakdown"
+    jobStructure,
+
+    // Skill packs this analysis used, for the score tooltip
+    packs,
 
-    // degreeMatch: detectDegreeGap(jobDescription, resumeText)
+    // Years, degree, title, certifications, authorization, location
+    requirements: analyzeRequirements(jobDescription, resumeText, { jobStructure, job })
   };
 }
\ No newline at end of file
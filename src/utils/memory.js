@@ -6,14 +6,24 @@
 //   and recurring keywords. This makes each rewrite more personalised.
 //
 // WHY we build from CONFIRMED rewrites only:
-//   We don't have per-bullet accept/reject signals (no diff UI).
-//   So we infer preferences from the full confirmed resume.
-//   A resume the user downloaded represents their approval of the whole output.
+//   A resume the user downloaded represents their approval of the whole
+//   output, so verbs and lengths come from the confirmed resume.
+//   On top of that, the side panel's diff view records per-bullet
+//   decisions (bullet.review = accepted | reverted). Those are the only
+//   explicit signals we get, so they're counted separately — a reverted
+//   rewrite says more about the user's taste than a silently kept one.
+//
+// jdCorpus keeps the term set of each past job description (not the text)
+// as the background corpus for keyword discovery's IDF — the more postings
+// the user has tailored for, the better "dbt" separates from "drive".
 //
 // STORAGE SCHEMA: see §3 in architecture doc
 
+import { documentTerms } from './keywords.js';
+
 const STORAGE_KEY = 'resumeos_memory';
 const SUMMARY_REBUILD_EVERY = 5; // sessions
+const JD_CORPUS_MAX = 50;         // past JDs kept for keyword IDF
 
 // ─── readMemory ───────────────────────────────────────────────────────────
 export function readMemory() {
@@ -35,12 +45,14 @@ function writeMemory(data) {
 function defaultMemory() {
   return {
     sessions: [],
+    jdCorpus: [],
     aggregate: {
       totalSessions: 0,
       targetRoles: {},
       topKeywords: [],
       topBulletVerbs: [],
       avgBulletLen: 0,
+      rejectedVerbs: [],
       preferenceSummary: null,
       summaryBuiltAt: 0,
     },
@@ -50,7 +62,9 @@ function defaultMemory() {
 // ─── recordSession ────────────────────────────────────────────────────────
 // Called after user confirms and downloads a resume.
 // Extracts learning signals from the confirmed resume JSON.
-export async function recordSession({ jobData, confirmedResume, keywordsUsed }) {
+// scoreDelta: compareKeywordAnalyses() of base vs confirmed resume, or null
+// profileId: the base resume profile it was tailored from
+export async function recordSession({ jobData, confirmedResume, keywordsUsed, scoreDelta, profileId }) {
   const memory = await readMemory();
 
   // Extract bullet verbs (first word of each bullet)
@@ -59,6 +73,9 @@ export async function recordSession({ jobData, confirmedResume, keywordsUsed })
   // Calculate average bullet length
   const avgBulletLen = calcAvgBulletLen(confirmedResume);
 
+  // Per-bullet accept/revert decisions from the diff view
+  const bulletReview = extractBulletReview(confirmedResume);
+
   // Build session record
   const session = {
     id: Date.now(),
@@ -70,14 +87,22 @@ export async function recordSession({ jobData, confirmedResume, keywordsUsed })
       url: jobData.url || '',
     },
     targetRole: jobData.title || '',
+    profileId: profileId || null,
     keywordsUsed: keywordsUsed || [],
     bulletVerbs,
     avgBulletLen,
+    bulletReview,
+    scoreDelta: scoreDelta || null, // keyword match before → after, shown in History
     status: 'tailored', // user updates to: applied · interview · offer · rejected
   };
 
   memory.sessions.push(session);
 
+  // Term set of this JD for keyword discovery; oldest postings age out
+  if (jobData.description) {
+    memory.jdCorpus = [...(memory.jdCorpus || []), documentTerms(jobData.description)].slice(-JD_CORPUS_MAX);
+  }
+
   // Update aggregates
   memory.aggregate = rebuildAggregate(memory.sessions, memory.aggregate);
 
@@ -155,6 +180,19 @@ function rebuildAggregate(sessions, prevAggregate) {
     .slice(0, 10)
     .map(([v]) => v);
 
+  // What the reverted rewrites led with. Kept/reverted counts go to the
+  // summary prompt per session (buildSummaryPrompt), not as an aggregate.
+  const rejectedVerbFreq = {};
+  for (const s of sessions) {
+    for (const verb of s.bulletReview?.rejectedVerbs || []) {
+      rejectedVerbFreq[verb] = (rejectedVerbFreq[verb] || 0) + 1;
+    }
+  }
+  const rejectedVerbs = Object.entries(rejectedVerbFreq)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([v]) => v);
+
   // Average bullet length across all sessions
   const avgBulletLen = sessions.length > 0
     ? Math.round(sessions.reduce((sum, s) => sum + (s.avgBulletLen || 18), 0) / sessions.length)
@@ -166,6 +204,7 @@ function rebuildAggregate(sessions, prevAggregate) {
     topKeywords,
     topBulletVerbs,
     avgBulletLen,
+    rejectedVerbs,
     preferenceSummary: prevAggregate.preferenceSummary, // preserved until rebuilt
     summaryBuiltAt: prevAggregate.summaryBuiltAt,
   };
@@ -187,6 +226,26 @@ function extractBulletVerbs(resume) {
   return [...new Set(verbs)];
 }
 
+// ─── Internal: extractBulletReview ────────────────────────────────────────
+// Counts diff-view decisions. rejectedVerbs are the first words of the
+// AI rewrites the user threw away — the phrasing to stop suggesting.
+function extractBulletReview(resume) {
+  let accepted = 0;
+  let reverted = 0;
+  const rejectedVerbs = [];
+  for (const job of resume.experience || []) {
+    for (const bullet of job.bullets || []) {
+      if (bullet.review === 'accepted') accepted++;
+      if (bullet.review === 'reverted') {
+        reverted++;
+        const firstWord = (bullet.rejected?.text || '').trim().split(/\s+/)[0];
+        if (firstWord && /^[A-Z]/.test(firstWord)) rejectedVerbs.push(firstWord);
+      }
+    }
+  }
+  return { accepted, reverted, rejectedVerbs: [...new Set(rejectedVerbs)] };
+}
+
 // ─── Internal: calcAvgBulletLen ───────────────────────────────────────────
 function calcAvgBulletLen(resume) {
   const lengths = [];
@@ -0,0 +1,65 @@
+// partial-json.js — Best-effort parse of an incomplete JSON object
+//
+// WHY: While a tailoring response streams in, the text is a JSON prefix
+// that JSON.parse rejects. We close whatever is open (string, arrays,
+// objects) so the preview can render every section received so far.
+// If closing alone doesn't produce valid JSON (e.g. the stream stopped
+// between a key and its value), we cut back to the previous comma and
+// try again.
+
+const MAX_CUTBACKS = 6;
+
+// ─── parsePartialJSON ────────────────────────────────────────────────────────
+// Returns the parsed object, or null if nothing usable has arrived yet.
+export function parsePartialJSON(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let body = text.slice(start);
+  for (let i = 0; i <= MAX_CUTBACKS; i++) {
+    const { closed, lastComma } = closeJSON(body);
+    try {
+      return JSON.parse(closed);
+    } catch (e) {
+      if (lastComma <= 0) return null;
+      body = body.slice(0, lastComma);
+    }
+  }
+  return null;
+}
+
+// ─── closeJSON ───────────────────────────────────────────────────────────────
+// Appends the characters needed to close an unterminated JSON prefix.
+// Also reports the last comma outside a string, the cut-back point.
+function closeJSON(body) {
+  const stack = [];
+  let inString = false;
+  let lastComma = -1;
+
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      stack.push('}');
+    } else if (ch === '[') {
+      stack.push(']');
+    } else if (ch === '}' || ch === ']') {
+      stack.pop();
+    } else if (ch === ',') {
+      lastComma = i;
+    }
+  }
+
+  let closed = body;
+  // A trailing backslash would escape our closing quote
+  if (inString) closed = closed.replace(/\\$/, '') + '"';
+  closed = closed.replace(/[\s,]+$/, '');
+  if (closed.endsWith(':')) closed += 'null';
+  closed += stack.reverse().join('');
+
+  return { closed, lastComma };
+}
@@ -0,0 +1,297 @@
+// pdf-layout.js — Rebuild reading order from positioned PDF text
+//
+// WHY not just join pdf.js's text items:
+//   A PDF stores text as runs placed at coordinates, in whatever order the
+//   authoring tool wrote them. Joined as-is, a two-column resume interleaves
+//   the sidebar with the experience section line by line, page headers land
+//   in the middle of a role, wrapped bullets split in two and Word's bullet
+//   glyphs come out as private-use characters. All of it reaches the model
+//   and the local analyses as garbage.
+//
+// So we rebuild the page: drop repeated headers/footers and page numbers,
+// find a column gutter (a vertical band few runs cross), read the left
+// column before the right one, re-join wrapped bullets and normalize their
+// glyphs. The confidence score says how much of that was guesswork or how
+// much text looked undecodable, so the side panel can ask for a review.
+//
+// Pure functions, no pdf.js dependency — resume-parser.js feeds it items
+// already converted to top-down page coordinates.
+
+const MIN_TEXT_CHARS = 40;        // less than this on every page = image-only PDF
+const MARGIN_ZONE = 0.07;         // top / bottom share of a page searched for headers and footers
+const GUTTER_MAX_CROSSING = 0.05; // share of a page's characters allowed to cross the gutter
+const COLUMN_MIN_SHARE = 0.15;    // each column holds at least this share of the characters
+const GUTTER_MIN_WIDTH = 6;       // points
+
+// Word, Google Docs and LaTeX bullets: Unicode glyphs, plus Symbol/Wingdings
+// private-use codes (U+F0B7 is Word's default •)
+const BULLET_START = /^(?:[•●▪■◦‣∙○◆◇❖➢➤►▶✓✔]|[\uF000-\uF0FF])\s*/;
+const PAGE_NUMBER = /^(?:page\s*)?#(?:\s*(?:of|\/)\s*#)?$/i;
+const UNDECODED = /[\uFFFD\uE000-\uF8FF\u0000-\u0008\u000E-\u001F]/g;
+
+// ─── layoutPdfText ───────────────────────────────────────────────────────────
+// pages: [{ width, height, items: [{ str, x, y, width, size }] }], y = baseline
+// measured from the top of the page.
+// Returns { text, confidence (0–100), notes: [string], columns: pages with
+// a two-column layout }. text is '' when the PDF has no text layer.
+export function layoutPdfText(pages) {
+  const prepared = pages.map(page => ({
+    ...page,
+    rows: groupRows(page.items.filter(item => item.str.trim())),
+  }));
+
+  const totalChars = prepared.reduce((sum, p) => sum + countChars(p.rows), 0);
+  if (totalChars < MIN_TEXT_CHARS) {
+    return { text: '', confidence: 0, notes: ['No text layer — the PDF is scanned or exported as images'], columns: 0 };
+  }
+
+  const removed = stripHeadersFooters(prepared);
+
+  let columns = 0;
+  const pageTexts = prepared.map((page) => {
+    const gutter = findGutter(page);
+    if (gutter !== null) columns++;
+    return linesToText(readingOrder(page.rows, gutter));
+  });
+  const text = pageTexts.filter(Boolean).join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+
+  const { confidence, notes } = scoreExtraction(text, prepared, columns);
+  if (removed > 0) notes.push(`Removed ${removed} repeated header/footer line${removed > 1 ? 's' : ''} and page numbers`);
+  return { text, confidence, notes, columns };
+}
+
+// ─── Internal: rows ──────────────────────────────────────────────────────────
+// Runs whose baselines sit within ~half a line of each other share a row.
+// Rows span the whole page width; columns are split out of them later.
+function groupRows(items) {
+  const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
+  const rows = [];
+  for (const item of sorted) {
+    const row = rows[rows.length - 1];
+    if (row && item.y - row.y <= Math.max(1.5, 0.45 * Math.min(row.size, item.size || row.size))) {
+      row.items.push(item);
+    } else {
+      rows.push({ y: item.y, size: item.size || 10, items: [item] });
+    }
+  }
+  for (const row of rows) row.items.sort((a, b) => a.x - b.x);
+  return rows;
+}
+
+function countChars(rows) {
+  return rows.reduce((sum, row) => sum + row.items.reduce((s, i) => s + i.str.trim().length, 0), 0);
+}
+
+// ─── Internal: headers and footers ───────────────────────────────────────────
+// A row in the top or bottom margin is dropped when it's a page number, or
+// when the same text (digits ignored) is in the margin of two or more pages.
+// Repeats are only dropped after the first page: a page-2 header repeating
+// the name and contact line is a copy, the page-1 one is the resume's header.
+function stripHeadersFooters(pages) {
+  const key = row => row.items.map(i => i.str).join(' ').toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+  const inMargin = (row, page) => row.y < page.height * MARGIN_ZONE || row.y > page.height * (1 - MARGIN_ZONE);
+
+  const seen = new Map(); // key → number of pages it appears on
+  for (const page of pages) {
+    const keys = new Set(page.rows.filter(row => inMargin(row, page)).map(key));
+    for (const k of keys) seen.set(k, (seen.get(k) || 0) + 1);
+  }
+
+  let removed = 0;
+  pages.forEach((page, index) => {
+    page.rows = page.rows.filter((row) => {
+      if (!inMargin(row, page)) return true;
+      const k = key(row);
+      const drop = PAGE_NUMBER.test(k) || (index > 0 && seen.get(k) >= 2);
+      if (drop) removed++;
+      return !drop;
+    });
+  });
+  return removed;
+}
+
+// ─── Internal: column gutter ─────────────────────────────────────────────────
+// The x of the widest vertical band in the middle 60% of the page that
+// (almost) no text crosses, with enough text on both sides of it — or null.
+// Right-aligned dates in a one-column resume leave a band too, but the
+// COLUMN_MIN_SHARE test rules them out: a date column is a few percent of
+// the text, a real column a fifth or more.
+function findGutter(page) {
+  const items = page.rows.flatMap(row => row.items);
+  const total = items.reduce((sum, i) => sum + i.str.trim().length, 0);
+  if (total === 0) return null;
+
+  let best = null;
+  let run = null;
+  for (let x = Math.round(page.width * 0.2); x <= Math.round(page.width * 0.8); x++) {
+    let crossing = 0;
+    let left = 0;
+    let right = 0;
+    for (const item of items) {
+      const chars = item.str.trim().length;
+      if (item.x + item.width <= x) left += chars;
+      else if (item.x >= x) right += chars;
+      else crossing += chars;
+    }
+    const open = crossing <= total * GUTTER_MAX_CROSSING
+      && left >= total * COLUMN_MIN_SHARE
+      && right >= total * COLUMN_MIN_SHARE;
+
+    if (open) {
+      run = run ? { ...run, end: x } : { start: x, end: x };
+      if (!best || run.end - run.start > best.end - best.start) best = run;
+    } else {
+      run = null;
+    }
+  }
+
+  if (!best || best.end - best.start < GUTTER_MIN_WIDTH) return null;
+  const gutter = (best.start + best.end) / 2;
+
+  // Both columns must actually run side by side, not just once
+  const sideBySide = page.rows.filter(row =>
+    row.items.some(i => i.x + i.width <= gutter) && row.items.some(i => i.x >= gutter)
+  ).length;
+  return sideBySide >= 3 ? gutter : null;
+}
+
+// ─── Internal: reading order ─────────────────────────────────────────────────
+// Without a gutter, rows top to bottom. With one, the page splits into
+// blocks at every row that crosses the gutter (a full-width heading); each
+// block reads left column, then right. Rows above the first side-by-side
+// row are the header (name, contact) and stay full width even when they
+// happen to sit on one side.
+function readingOrder(rows, gutter) {
+  const line = items => ({
+    items,
+    y: items[0].y,
+    size: Math.max(...items.map(i => i.size || 10)),
+  });
+  if (gutter === null) return rows.map(row => line(row.items));
+
+  const crosses = row => row.items.some(i => i.x < gutter && i.x + i.width > gutter);
+  const left = row => row.items.filter(i => i.x + i.width <= gutter);
+  const right = row => row.items.filter(i => i.x >= gutter);
+  const firstSplit = rows.findIndex(row => left(row).length > 0 && right(row).length > 0);
+
+  const ordered = [];
+  let block = [];
+  const flush = () => {
+    for (const side of [left, right]) {
+      for (const row of block) {
+        const items = side(row);
+        if (items.length) ordered.push(line(items));
+      }
+    }
+    block = [];
+  };
+
+  rows.forEach((row, index) => {
+    if (index < firstSplit || crosses(row)) {
+      flush();
+      ordered.push(line(row.items));
+    } else {
+      block.push(row);
+    }
+  });
+  flush();
+  return ordered;
+}
+
+// ─── Internal: lines → text ──────────────────────────────────────────────────
+// Joins runs within a line, normalizes bullet glyphs, re-joins wrapped
+// bullet lines and keeps paragraph gaps as blank lines.
+function linesToText(lines) {
+  const out = [];
+  let prev = null;
+  let bulletX = null; // x where the current bullet's text starts
+
+  for (const current of lines) {
+    let text = joinItems(current.items);
+    if (!text) continue;
+
+    const bullet = BULLET_START.test(text);
+    const textX = bullet && current.items.length > 1 && BULLET_START.test(current.items[0].str.trim())
+      ? current.items[1].x
+      : current.items[0].x;
+    if (bullet) text = `• ${text.replace(BULLET_START, '')}`;
+
+    const gap = prev ? current.y - prev.y : 0;
+    const wrapped = prev && !bullet && bulletX !== null
+      && Math.abs(current.items[0].x - bulletX) <= current.size * 0.6
+      && gap > 0 && gap <= current.size * 1.6;
+
+    if (wrapped) {
+      const last = out.length - 1;
+      out[last] = /[a-z]-$/i.test(out[last]) ? out[last] + text : `${out[last]} ${text}`;
+    } else {
+      // A big gap is a new section; going back up the page is a new column
+      if (prev && (gap > Math.max(prev.size, current.size) * 1.9 || gap < 0)) out.push('');
+      out.push(text);
+      bulletX = bullet ? textX : null;
+    }
+    prev = current;
+  }
+  return out.join('\n');
+}
+
+// Adjacent runs get a space when there's a visible gap between them; a wide
+// gap (right-aligned dates, tab stops) becomes a separator
+function joinItems(items) {
+  let text = '';
+  let end = null;
+  for (const item of items) {
+    const size = item.size || 10;
+    if (end !== null) {
+      const gap = item.x - end;
+      if (gap > size * 2.5) text = `${text.trimEnd()} | `;
+      else if (gap > size * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.str)) text += ' ';
+    }
+    text += item.str;
+    end = item.x + item.width;
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// ─── Internal: confidence ────────────────────────────────────────────────────
+function scoreExtraction(text, pages, columns) {
+  const notes = [];
+  let confidence = 100;
+
+  // Characters the font couldn't map to Unicode (bullets already normalized)
+  const undecoded = (text.match(UNDECODED) || []).length;
+  const undecodedShare = undecoded / Math.max(1, text.length);
+  if (undecodedShare > 0.002) {
+    confidence -= Math.min(50, Math.round(undecodedShare * 500));
+    notes.push('Some characters didn\'t decode (embedded font without a Unicode map)');
+  }
+
+  // Fonts with scrambled encodings decode to letters, just the wrong ones —
+  // words without a vowel give them away
+  const words = text.match(/[A-Za-z]{4,}/g) || [];
+  const noVowel = words.filter(w => !/[aeiouy]/i.test(w)).length / Math.max(1, words.length);
+  if (noVowel > 0.1) {
+    confidence -= Math.min(40, Math.round(noVowel * 100));
+    notes.push('Many words look garbled — check the text below');
+  }
+
+  // Letter-spaced headings come out one run per character
+  const items = pages.flatMap(p => p.rows.flatMap(r => r.items));
+  const single = items.filter(i => i.str.trim().length === 1 && !BULLET_START.test(i.str.trim())).length;
+  if (items.length > 0 && single / items.length > 0.3) {
+    confidence -= 15;
+    notes.push('Text is split into single letters (letter-spaced or custom font)');
+  }
+
+  if (columns > 0) {
+    confidence -= 10;
+    notes.push(`Two-column layout on ${columns} page${columns > 1 ? 's' : ''} — left column placed first, check the section order`);
+  }
+
+  if (text.length < 400) {
+    confidence -= 20;
+    notes.push('Very little text found');
+  }
+
+  return { confidence: Math.max(0, Math.min(100, confidence)), notes };
+}
@@ -2,10 +2,12 @@
 //
 // Token budget breakdown (Gemini 2.0 Flash free tier = 1M input TPM):
 //   System prompt:  ~120 tokens  (was ~350 — cut verbose schema + prose)
-//   JD (truncated): ~300 tokens  (was 400-800 — cap at 1500 chars)
+//   JD (condensed): ≤500 tokens  (sections by priority, boilerplate dropped — jd-parser.js)
 //   Base resume:    ~400 tokens  (unchanged — we need all of it)
 //   Missing skills: ~30 tokens   (was 60 — removed duplicate jdKeywords)
-//   Total input:    ~850 tokens  (was ~1500-2000)
+//   Total input:    ~1050 tokens (was ~1500-2000)
+//   Achievement bank (bank mode only): ~40 tokens per item, at most 11 per
+//   role, most relevant to the JD first (inventory.js selectInventory)
 //
 //   Output resume JSON: ~400 tokens (was 800-1500)
 //   Savings come from:
@@ -13,11 +15,15 @@
 //     - Omitting authentic:true on every bullet (default = true, only flag false)
 //     - Skills as flat array of strings (no wrapping objects)
 
+import { parseJobDescription, planJobPrompt } from './jd-parser.js';
+import { selectInventory, inventoryToText } from './inventory.js';
+
 // ─── System prompt ──────────────────────────────────────────────────────────
 // Kept terse. Model doesn't need an essay — it needs clear rules and a schema.
-export function buildSystemPrompt(preferenceSummary = null) {
+// options.inventory: bank mode — bullets are picked from the achievement bank.
+export function buildSystemPrompt(preferenceSummary = null, { inventory = false } = {}) {
   let system = `Tailor the resume to the job. Rules:
-1. Never invent skills/experience not in the base resume. Only reframe existing experience.
+1. ${sourceRule(inventory)}
 2. Bullets: action-verb first, natural keyword weaving, no stuffing.
 3. Output ONLY a JSON object. No markdown, no explanation, nothing outside the JSON.
 4. Short keys to save tokens: n=name,e=email,ph=phone,lo=location,li=linkedin,su=summary,x=experience,sk=skills,ed=education
@@ -26,6 +32,10 @@ export function buildSystemPrompt(preferenceSummary = null) {
 7. f:1 means "flag for user review" (AI added something not clearly in base resume)
 Schema: {"n":"","e":"","ph":"","lo":"","li":"","su":"","x":[{"c":"","t":"","d":"","b":["bullet text or {tx,f:1}"]}],"sk":[],"ed":[{"i":"","dg":"","d":""}]}`;
 
+  if (inventory) {
+    system += `\n8. Per role, pick the 3-6 items from the resume and the bank's entry for that role that best fit the job, and rewrite them as bullets. A bank role missing from the resume may be added if it fits.`;
+  }
+
   if (preferenceSummary) {
     system += `\nStyle: ${preferenceSummary}`;
   }
@@ -33,25 +43,193 @@ Schema: {"n":"","e":"","ph":"","lo":"","li":"","su":"","x":[{"c":"","t":"","d":"
   return system;
 }
 
-export function buildUserPrompt({ baseResume, jobDescription }) {
-  const jdTruncated = jobDescription.length > 1500
-    ? jobDescription.slice(0, 1500) + '...'
-    : jobDescription;
+// ─── Response schema ────────────────────────────────────────────────────────
+// The same short-key schema as the system prompt, as JSON Schema. Passed to
+// providers that support constrained decoding (Gemini responseSchema, OpenAI
+// json_schema, Ollama format) so malformed output can't be generated at all.
+// Bullets stay "string OR {tx,f}" — keeps the token savings of plain strings.
+const STRING = { type: 'string' };
+
+const BULLET = {
+  anyOf: [
+    STRING,
+    {
+      type: 'object',
+      properties: { tx: STRING, f: { type: 'integer' } },
+      required: ['tx', 'f'],
+    },
+  ],
+};
 
+export const RESUME_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    n: STRING, e: STRING, ph: STRING, lo: STRING, li: STRING, su: STRING,
+    x: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          c: STRING, t: STRING, d: STRING,
+          b: { type: 'array', items: BULLET },
+        },
+        required: ['c', 't', 'd', 'b'],
+      },
+    },
+    sk: { type: 'array', items: STRING },
+    ed: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { i: STRING, dg: STRING, d: STRING },
+        required: ['i', 'dg', 'd'],
+      },
+    },
+  },
+  required: ['n', 'su', 'x', 'sk', 'ed'],
+};
+
+export function buildUserPrompt({ baseResume, jobDescription, inventory = null }) {
   return `RESUME:
 ${baseResume}
-
+${bankBlock(inventory, jobDescription)}
 JOB:
-${jdTruncated}
+${condenseJD(jobDescription)}
 
 Output JSON only.`;
 }
 
+function sourceRule(inventory) {
+  return inventory
+    ? 'Never invent skills/experience not in the base resume or the achievement bank. Only reframe existing experience.'
+    : 'Never invent skills/experience not in the base resume. Only reframe existing experience.';
+}
+
+// Only the items selectInventory ranks highest for this job — see inventory.js
+function bankBlock(inventory, jobDescription) {
+  if (!inventory) return '';
+  return `
+ACHIEVEMENT BANK (more bullets and projects per role, most relevant first, [skill tags]):
+${inventoryToText(selectInventory(inventory, jobDescription))}
+`;
+}
+
+// Labelled sections, requirements first, within a fixed budget — see
+// jd-parser.js. The raw slice is only for a JD that's all benefits/legal text.
+function condenseJD(jobDescription) {
+  const { text } = planJobPrompt(parseJobDescription(jobDescription));
+  return text || jobDescription.slice(0, 1500);
+}
+
+// ─── Fragment prompts ───────────────────────────────────────────────────────
+// Regenerate one piece (summary, one role's bullets, one bullet) of an
+// already-tailored resume. The current tailored resume goes in as context
+// so the new piece fits around what the user is keeping.
+export function buildFragmentSystemPrompt(preferenceSummary = null, { inventory = false } = {}) {
+  let system = `Rewrite one part of a tailored resume. Rules:
+1. ${sourceRule(inventory)}
+2. Bullets: action-verb first, natural keyword weaving, no stuffing.
+3. Output ONLY a JSON object. No markdown, no explanation, nothing outside the JSON.
+4. Each bullet is a string UNLESS it may be inauthentic — then use {tx:"text",f:1}
+5. f:1 means "flag for user review" (AI added something not clearly in base resume)
+6. Don't repeat wording used elsewhere in the current resume.`;
+
+  if (preferenceSummary) {
+    system += `\nStyle: ${preferenceSummary}`;
+  }
+
+  return system;
+}
+
+export const FRAGMENT_JSON_SCHEMAS = {
+  summary:    { type: 'object', properties: { su: STRING }, required: ['su'] },
+  experience: { type: 'object', properties: { b: { type: 'array', items: BULLET } }, required: ['b'] },
+  bullet:     { type: 'object', properties: { b: BULLET }, required: ['b'] },
+};
+
+export function buildFragmentPrompt({ baseResume, jobDescription, resume, target, inventory = null }) {
+  return `RESUME:
+${baseResume}
+${bankBlock(inventory, jobDescription)}
+JOB:
+${condenseJD(jobDescription)}
+
+CURRENT TAILORED RESUME (x = experience, b = bullets):
+${JSON.stringify(toShortKeys(resume))}
+
+TASK: ${describeFragmentTask(resume, target)}`;
+}
+
+function describeFragmentTask(resume, { section, index, bulletIndex }) {
+  if (section === 'summary') {
+    return 'Write a new "su" (summary) with a different angle than the current one. Output {"su":""}.';
+  }
+
+  const exp = resume.experience[index];
+  const role = `x[${index}] (${exp.title} at ${exp.company})`;
+
+  if (section === 'experience') {
+    return `Rewrite all bullets of ${role}. Keep roughly the same number of bullets. Output {"b":["bullet text or {tx,f:1}"]}.`;
+  }
+
+  const current = exp.bullets[bulletIndex]?.text || '';
+  return `Rewrite bullet b[${bulletIndex}] of ${role}: "${current}". Same underlying fact, different wording. Output {"b":"bullet text or {tx,f:1}"}.`;
+}
+
+// Back to the compact format the model writes — fewer input tokens, and
+// the model sees its own conventions. Contact fields are irrelevant here.
+function toShortKeys(resume) {
+  return {
+    su: resume.summary,
+    x: (resume.experience || []).map(exp => ({
+      c: exp.company,
+      t: exp.title,
+      d: exp.dates,
+      b: (exp.bullets || []).map(b => (b.authentic === false ? { tx: b.text, f: 1 } : b.text)),
+    })),
+    sk: resume.skills,
+  };
+}
+
+// ─── Repair prompt ──────────────────────────────────────────────────────────
+// Sent when the output fails validation. Repeats the original request (a
+// truncated answer can't be fixed without it) plus the specific problems.
+export function buildRepairPrompt({ userPrompt, rawText, errors }) {
+  return `${userPrompt}
+
+Your previous output was rejected:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous output:
+${rawText.slice(0, 4000)}
+
+Fix these problems. Output the complete JSON object only.`;
+}
+
+// ─── Continuation prompt ────────────────────────────────────────────────────
+// Sent when a response stops at the output-token limit (long resumes with
+// many roles). The model picks up mid-JSON; ai.js stitches the pieces.
+export function buildContinuationPrompt({ userPrompt, partial }) {
+  return `${userPrompt}
+
+Your previous output hit the length limit and stopped here:
+${partial}
+
+Continue from exactly where it stopped. Output only the remaining characters. Do not repeat anything above and do not restart the object.`;
+}
+
 export function buildSummaryPrompt(sessions) {
   // Only send the fields we actually need — not the full session objects
-  const compact = sessions.map(s =>
-    `${s.targetRole}|${(s.keywordsUsed || []).slice(0, 5).join(',')}|${(s.bulletVerbs || []).slice(0, 3).join(',')}|${s.avgBulletLen}`
-  ).join('\n');
+  const compact = sessions.map(s => {
+    const review = s.bulletReview ? `${s.bulletReview.accepted}/${s.bulletReview.reverted}` : '-';
+    return `${s.targetRole}|${(s.keywordsUsed || []).slice(0, 5).join(',')}|${(s.bulletVerbs || []).slice(0, 3).join(',')}|${s.avgBulletLen}|${review}`;
+  }).join('\n');
+
+  // Explicit rejections are the strongest signal we have — call them out
+  const rejected = [...new Set(sessions.flatMap(s => s.bulletReview?.rejectedVerbs || []))].slice(0, 8);
+  const rejectedLine = rejected.length
+    ? `\nRewrites the user reverted to their original wording started with: ${rejected.join(',')}`
+    : '';
 
-  return `Sessions (role|keywords|verbs|avgBulletLen):\n${compact}\n\nWrite 1-2 sentence style summary. Output only the sentence.`;
+  return `Sessions (role|keywords|verbs|avgBulletLen|kept/reverted rewrites):\n${compact}${rejectedLine}\n\nWrite 1-2 sentence style summary. Output only the sentence.`;
 }
\ No newline at end of file
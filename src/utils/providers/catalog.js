@@ -0,0 +1,54 @@
+// catalog.js — Provider metadata shared by the side panel and background
+//
+// WHY a separate, dependency-free module:
+//   The side panel loads its modules unbundled, so it can't import the
+//   provider implementations (gemini.js pulls in the SDK). Labels, defaults
+//   and key requirements live here so both sides agree on them.
+
+export const DEFAULT_PROVIDER = 'gemini';
+
+export const PROVIDERS = {
+  gemini: {
+    label: 'Gemini',
+    defaultModel: 'gemini-2.5-flash',
+    defaultBaseUrl: '',
+    needsKey: true,
+    needsBaseUrl: false,
+  },
+  // Any server that speaks the /chat/completions protocol: OpenAI itself,
+  // llama.cpp's server, LM Studio, vLLM, OpenRouter, etc.
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    needsKey: false, // local servers usually run without one
+    needsBaseUrl: true,
+  },
+  ollama: {
+    label: 'Ollama (local)',
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434',
+    needsKey: false,
+    needsBaseUrl: true,
+  },
+};
+
+// ─── getProviderInfo ────────────────────────────────────────────────────────
+// Unknown ids fall back to Gemini so settings saved by older versions
+// (which had no provider field) keep working.
+export function getProviderInfo(id) {
+  return PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+}
+
+// ─── buildProviderConfig ────────────────────────────────────────────────────
+// Fills in defaults for blank fields. The result is what ai.js receives.
+export function buildProviderConfig({ provider, apiKey, baseUrl, model } = {}) {
+  const id = PROVIDERS[provider] ? provider : DEFAULT_PROVIDER;
+  const info = PROVIDERS[id];
+  return {
+    id,
+    apiKey: (apiKey || '').trim(),
+    baseUrl: ((baseUrl || '').trim() || info.defaultBaseUrl).replace(/\/+$/, ''),
+    model: (model || '').trim() || info.defaultModel,
+  };
+}
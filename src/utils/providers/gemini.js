@@ -0,0 +1,158 @@
+// gemini.js — Google Gemini provider (via @google/generative-ai SDK)
+//
+// WHY the SDK (not raw fetch): see README "Why the Gemini SDK".
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Finish reasons that end a response with its text withheld
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'LANGUAGE', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+// ─── generate ────────────────────────────────────────────────────────────────
+// Provider contract (shared by every module in providers/):
+//   generate(config, { system, prompt, maxOutputTokens, temperature, schema?, onText? })
+//     → { text, finishReason }   finishReason: 'STOP' | 'MAX_TOKENS' | other
+//   schema: JSON Schema the output must follow (constrained decoding)
+//   onText: if set, the response is streamed and onText(textSoFar) is
+//           called as chunks arrive; the resolved value is the same
+//   signal: AbortSignal — aborting rejects with an AbortError
+//   parseError(err) → { code, message, retryAfter? }
+export async function generate(config, request) {
+  const { system, prompt, maxOutputTokens, temperature, schema, onText, signal } = request;
+  const genAI = new GoogleGenerativeAI(config.apiKey);
+  const model = genAI.getGenerativeModel({
+    model: config.model,
+    ...(system ? { systemInstruction: system } : {}),
+    generationConfig: {
+      maxOutputTokens,
+      temperature,
+      ...(schema ? {
+        responseMimeType: 'application/json',
+        responseSchema: toGeminiSchema(schema),
+      } : {}),
+    },
+  });
+
+  if (onText) {
+    const streamed = await model.generateContentStream(prompt, { signal });
+    let text = '';
+    for await (const chunk of streamed.stream) {
+      const chunkText = readChunk(chunk);
+      if (!chunkText) continue;
+      text += chunkText;
+      onText(text);
+    }
+    const response = await streamed.response;
+    return {
+      text,
+      finishReason: response.candidates?.[0]?.finishReason || 'STOP',
+    };
+  }
+
+  const result = await model.generateContent(prompt, { signal });
+  const candidate = result.response.candidates?.[0];
+  return {
+    text: result.response.text(),
+    finishReason: candidate?.finishReason || 'STOP',
+  };
+}
+
+// ─── readChunk ───────────────────────────────────────────────────────────────
+// A stream chunk's text. chunk.text() throws on a blocked chunk and some
+// chunks carry no candidates at all (usage metadata only), so both are
+// checked here: blocks throw with the SDK's own wording, which parseError
+// maps to BLOCKED like a blocked non-streamed response.
+function readChunk(chunk) {
+  const candidate = chunk.candidates?.[0];
+  if (!candidate) {
+    const reason = chunk.promptFeedback?.blockReason;
+    if (reason) throw new Error(`Response was blocked due to ${reason}`);
+    return '';
+  }
+  if (BLOCKED_FINISH_REASONS.includes(candidate.finishReason)) {
+    throw new Error(`Candidate was blocked due to ${candidate.finishReason}`);
+  }
+  return (candidate.content?.parts || []).map(part => part.text || '').join('');
+}
+
+// ─── toGeminiSchema ──────────────────────────────────────────────────────────
+// Gemini takes an OpenAPI-style subset: upper-case type names, and it emits
+// properties alphabetically unless propertyOrdering says otherwise.
+function toGeminiSchema(schema) {
+  const out = {};
+  if (schema.type) out.type = schema.type.toUpperCase();
+  if (schema.anyOf) out.anyOf = schema.anyOf.map(toGeminiSchema);
+  if (schema.items) out.items = toGeminiSchema(schema.items);
+  if (schema.required) out.required = schema.required;
+  if (schema.properties) {
+    out.properties = {};
+    for (const [key, value] of Object.entries(schema.properties)) {
+      out.properties[key] = toGeminiSchema(value);
+    }
+    out.propertyOrdering = Object.keys(schema.properties);
+  }
+  return out;
+}
+
+// ─── parseError ──────────────────────────────────────────────────────────────
+// Extract a user-friendly error message from Gemini SDK errors
+export function parseError(err) {
+  const msg = err?.message || String(err);
+
+  if (msg.includes('429') || msg.includes('RESOURCE_EXHAUSTED') || msg.includes('quota')) {
+
+    // Try to extract the retry delay Gemini gives us (e.g. "53.809189902s")
+    const retryMatch = msg.match(/retry[^0-9]*(\d+(?:\.\d+)?)s/i)
+      || msg.match(/"retryDelay"\s*:\s*"(\d+(?:\.\d+)?)s"/i);
+    const retrySeconds = retryMatch ? Math.ceil(parseFloat(retryMatch[1])) : 60;
+
+    // Distinguish daily cap (RPD) from per-minute (RPM)
+    const isDailyLimit = msg.includes('PerDay') || msg.includes('per_day') || msg.includes('RPD');
+
+    if (isDailyLimit) {
+      return {
+        code: 'DAILY_LIMIT',
+        message: "You've used all your free Gemini requests for today. Your quota resets at midnight Pacific Time. You can also enable billing on your Google AI project for higher limits.",
+        retryAfter: null,
+      };
+    }
+
+    return {
+      code: 'RATE_LIMIT',
+      message: `Gemini rate limit hit. Wait ${retrySeconds} seconds and try again.`,
+      retryAfter: retrySeconds,
+    };
+  }
+
+  if (msg.includes('401') || msg.includes('API_KEY_INVALID') || msg.includes('invalid api key')) {
+    return {
+      code: 'INVALID_KEY',
+      message: 'Invalid API key. Check your key in Settings.',
+    };
+  }
+  if (msg.includes('403') || msg.includes('PERMISSION_DENIED')) {
+    return {
+      code: 'PERMISSION',
+      message: "API key doesn't have Gemini access. Make sure you've enabled the Generative Language API in your Google Cloud project.",
+    };
+  }
+  // Safety filters and recitation checks, on the prompt or the response
+  const blocked = msg.match(/blocked due to (\w+)/);
+  if (blocked) {
+    return {
+      code: 'BLOCKED',
+      message: blocked[1] === 'RECITATION'
+        ? 'Gemini stopped because the output repeated existing text too closely. Try again.'
+        : `Gemini blocked the response (${blocked[1].toLowerCase().replace(/_/g, ' ')}). Try again, or check the job description for unusual content.`,
+    };
+  }
+  if (msg.includes('500') || msg.includes('INTERNAL')) {
+    return {
+      code: 'SERVER_ERROR',
+      message: 'Gemini server error. Try again in a moment.',
+    };
+  }
+  return {
+    code: 'UNKNOWN',
+    message: `AI error: ${msg.slice(0, 100)}`,
+  };
+}
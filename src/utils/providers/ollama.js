@@ -0,0 +1,131 @@
+// ollama.js — Local Ollama provider (native /api/chat endpoint)
+//
+// WHY the native API (not Ollama's OpenAI shim): /api/chat reports
+// done_reason and accepts num_predict, and works on older Ollama builds.
+//
+// Ollama rejects requests from extension origins unless OLLAMA_ORIGINS
+// allows them — the 403 message below tells the user how to fix that.
+
+import { readLines } from './stream.js';
+
+// ─── generate ────────────────────────────────────────────────────────────────
+export async function generate(config, request) {
+  const { system, prompt, maxOutputTokens, temperature, schema, onText, signal } = request;
+  const messages = [];
+  if (system) messages.push({ role: 'system', content: system });
+  messages.push({ role: 'user', content: prompt });
+
+  let response;
+  try {
+    response = await fetch(`${config.baseUrl}/api/chat`, {
+      method: 'POST',
+      signal,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: config.model,
+        messages,
+        stream: Boolean(onText),
+        // Ollama ≥ 0.5 accepts a JSON Schema here
+        ...(schema ? { format: schema } : {}),
+        options: {
+          num_predict: maxOutputTokens,
+          temperature,
+        },
+      }),
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw unreachableError(config, err);
+  }
+
+  // Older builds only understand format: "json" and reject a schema object
+  if (response.status === 400 && schema) {
+    return generate(config, { ...request, schema: null });
+  }
+
+  if (!response.ok) throw await httpError(response, config);
+
+  if (onText) return readStream(response, onText);
+
+  const body = await response.json();
+  return {
+    text: body.message?.content || '',
+    finishReason: body.done_reason === 'length' ? 'MAX_TOKENS' : 'STOP',
+  };
+}
+
+// ─── parseError ──────────────────────────────────────────────────────────────
+// Local server: no keys, no quotas. Failures are almost always "not running",
+// "origin not allowed" or "model not pulled".
+export function parseError(err) {
+  const status = err?.status;
+  const msg = err?.message || String(err);
+
+  if (err?.unreachable) {
+    return {
+      code: 'UNREACHABLE',
+      message: `Couldn't reach Ollama at ${err.baseUrl}. Make sure it's running (ollama serve).`,
+    };
+  }
+  if (status === 403) {
+    return {
+      code: 'PERMISSION',
+      message: 'Ollama blocked the request. Restart it with OLLAMA_ORIGINS=chrome-extension://* set.',
+    };
+  }
+  if (status === 404) {
+    return {
+      code: 'MODEL_NOT_FOUND',
+      message: `Model "${err.model}" isn't installed. Run: ollama pull ${err.model}`,
+    };
+  }
+  if (status >= 500) {
+    return {
+      code: 'SERVER_ERROR',
+      message: `Ollama error: ${msg.slice(0, 100)}`,
+    };
+  }
+  return {
+    code: 'UNKNOWN',
+    message: `AI error: ${msg.slice(0, 100)}`,
+  };
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+// NDJSON: one { message: { content }, done } object per line
+async function readStream(response, onText) {
+  let text = '';
+  let finishReason = 'STOP';
+
+  await readLines(response, (line) => {
+    const chunk = JSON.parse(line);
+    if (chunk.error) throw new Error(chunk.error);
+    if (chunk.message?.content) {
+      text += chunk.message.content;
+      onText(text);
+    }
+    if (chunk.done && chunk.done_reason === 'length') finishReason = 'MAX_TOKENS';
+  });
+
+  return { text, finishReason };
+}
+
+async function httpError(response, config) {
+  let body = null;
+  try { body = await response.json(); } catch (e) { /* empty body on 403 */ }
+
+  // Ollama's error body is { error: "string" }, not OpenAI's { error: { message } }
+  const err = new Error(body?.error || `${response.status} ${response.statusText}`);
+  err.status = response.status;
+  err.model = config.model;
+  err.baseUrl = config.baseUrl;
+  return err;
+}
+
+function unreachableError(config, cause) {
+  const err = new Error(cause?.message || 'Network request failed');
+  err.unreachable = true;
+  err.baseUrl = config.baseUrl;
+  return err;
+}
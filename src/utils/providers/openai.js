@@ -0,0 +1,170 @@
+// openai.js — OpenAI-compatible provider (/chat/completions over fetch)
+//
+// WHY raw fetch here (unlike Gemini): there is no single SDK for the long
+// tail of compatible servers (llama.cpp, LM Studio, vLLM, OpenRouter...),
+// and the protocol is one POST. The endpoint's host must be covered by
+// host_permissions or granted at runtime, otherwise the request fails CORS.
+
+import { readLines } from './stream.js';
+
+// ─── generate ────────────────────────────────────────────────────────────────
+export async function generate(config, request) {
+  const { system, prompt, maxOutputTokens, temperature, schema, onText, signal } = request;
+  const messages = [];
+  if (system) messages.push({ role: 'system', content: system });
+  messages.push({ role: 'user', content: prompt });
+
+  const headers = { 'Content-Type': 'application/json' };
+  // Local servers typically run without auth — only send the header if set
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+  let response;
+  try {
+    response = await fetch(`${config.baseUrl}/chat/completions`, {
+      method: 'POST',
+      signal,
+      headers,
+      body: JSON.stringify({
+        model: config.model,
+        messages,
+        max_tokens: maxOutputTokens,
+        temperature,
+        stream: Boolean(onText),
+        ...(schema ? {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: 'resume', schema, strict: false },
+          },
+        } : {}),
+      }),
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    throw unreachableError(config, err);
+  }
+
+  // Older compatible servers reject json_schema with a 400. The caller
+  // validates the output anyway, so retry once unconstrained.
+  if (response.status === 400 && schema) {
+    return generate(config, { ...request, schema: null });
+  }
+
+  if (!response.ok) throw await httpError(response, config);
+
+  if (onText) return readStream(response, onText);
+
+  const body = await response.json();
+  const choice = body.choices?.[0];
+  return {
+    text: choice?.message?.content || '',
+    // 'length' is the OpenAI spelling of Gemini's MAX_TOKENS
+    finishReason: choice?.finish_reason === 'length' ? 'MAX_TOKENS' : 'STOP',
+  };
+}
+
+// ─── parseError ──────────────────────────────────────────────────────────────
+// Maps HTTP failures onto the same codes parseGeminiError produces, so the
+// side panel's formatError/showError branches work for every provider.
+export function parseError(err) {
+  const status = err?.status;
+  const msg = err?.message || String(err);
+
+  if (err?.unreachable) {
+    return {
+      code: 'UNREACHABLE',
+      message: `Couldn't reach ${err.baseUrl}. Check the base URL in Settings and that the server is running.`,
+    };
+  }
+
+  if (status === 429) {
+    // insufficient_quota = billing cap, not a per-minute limit. Retrying won't help.
+    if (err.errorCode === 'insufficient_quota') {
+      return {
+        code: 'DAILY_LIMIT',
+        message: 'Your API quota is used up. Check your plan and billing details with the provider.',
+        retryAfter: null,
+      };
+    }
+    const retrySeconds = err.retryAfter || 60;
+    return {
+      code: 'RATE_LIMIT',
+      message: `Rate limit hit. Wait ${retrySeconds} seconds and try again.`,
+      retryAfter: retrySeconds,
+    };
+  }
+
+  if (status === 401) {
+    return {
+      code: 'INVALID_KEY',
+      message: 'Invalid API key. Check your key in Settings.',
+    };
+  }
+  if (status === 403) {
+    return {
+      code: 'PERMISSION',
+      message: "API key doesn't have access to this model or endpoint.",
+    };
+  }
+  if (status === 404) {
+    return {
+      code: 'MODEL_NOT_FOUND',
+      message: `Model "${err.model}" not found at ${err.baseUrl}. Check the model name in Settings.`,
+    };
+  }
+  if (status >= 500) {
+    return {
+      code: 'SERVER_ERROR',
+      message: 'AI server error. Try again in a moment.',
+    };
+  }
+  return {
+    code: 'UNKNOWN',
+    message: `AI error: ${msg.slice(0, 100)}`,
+  };
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+// SSE: each event is `data: {chunk}`; the stream ends with `data: [DONE]`
+async function readStream(response, onText) {
+  let text = '';
+  let finishReason = 'STOP';
+
+  await readLines(response, (line) => {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') return;
+
+    const event = JSON.parse(payload);
+    if (event.error) throw new Error(event.error.message || 'Stream error');
+
+    const choice = event.choices?.[0];
+    if (choice?.delta?.content) {
+      text += choice.delta.content;
+      onText(text);
+    }
+    if (choice?.finish_reason === 'length') finishReason = 'MAX_TOKENS';
+  });
+
+  return { text, finishReason };
+}
+
+async function httpError(response, config) {
+  let body = null;
+  try { body = await response.json(); } catch (e) { /* non-JSON error body */ }
+
+  const err = new Error(body?.error?.message || `${response.status} ${response.statusText}`);
+  err.status = response.status;
+  err.errorCode = body?.error?.code || null;
+  err.retryAfter = Math.ceil(Number(response.headers.get('retry-after'))) || null;
+  err.model = config.model;
+  err.baseUrl = config.baseUrl;
+  return err;
+}
+
+function unreachableError(config, cause) {
+  const err = new Error(cause?.message || 'Network request failed');
+  err.unreachable = true;
+  err.baseUrl = config.baseUrl;
+  return err;
+}
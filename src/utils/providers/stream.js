@@ -0,0 +1,28 @@
+// stream.js — Line reader for fetch-based streaming providers
+//
+// OpenAI-compatible servers stream Server-Sent Events ("data: {...}" lines),
+// Ollama streams newline-delimited JSON. Both are "read the body, split on
+// newlines", so the byte handling lives here once.
+
+// ─── readLines ───────────────────────────────────────────────────────────────
+// Calls onLine(line) for every non-empty line of the response body.
+export async function readLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // last piece may be an incomplete line
+
+    for (const line of lines) {
+      if (line.trim()) onLine(line.trim());
+    }
+  }
+
+  if (buffer.trim()) onLine(buffer.trim());
+}
@@ -0,0 +1,366 @@
+// requirements.js — Non-skill requirements: years, degree, title, certs, authorization, location
+//
+// WHY separate from the skill match:
+//   A resume can hit every keyword and still be screened out on "7+ years",
+//   "MS required" or "on-site in Austin". These are hard filters in most
+//   ATS setups, so they get their own pass / gap cards instead of being
+//   folded into the match score.
+//
+// Everything on the resume side is derived from the base resume text:
+// experience years are summed from its date ranges (overlaps merged), the
+// degree is the highest level it names. Work authorization can't be read
+// off a resume, so those checks are mostly 'info' — a reminder, not a verdict.
+//
+// Pure functions, no API calls. Called from analyzeKeywords (keywords.js).
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "Mar 2019", "March 2019", "03/2019", "2019"
+const DATE = String.raw`(?:(?:(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?\s+)|(\d{1,2})\/)?((?:19|20)\d{2})`;
+const DATE_RANGE = new RegExp(
+  String.raw`${DATE}\s*(?:[-–—]|to|until)\s*(?:${DATE}|(present|current|now|today))`,
+  'gi'
+);
+
+// Resume headings that end the experience section
+const RESUME_EXPERIENCE_HEADING = /^(work |professional |relevant )?(experience|employment( history)?|work history|career history)$/i;
+const RESUME_OTHER_HEADING = /^(education|academic background|skills|technical skills|projects|certifications?|licenses|summary|profile|awards|publications|volunteer(ing)?|interests|languages|references)$/i;
+
+// Degree levels, lowest first. Abbreviations are case-sensitive so "ms"
+// and "ba" in prose don't count; "MS Excel" / "MS Office" are Microsoft.
+const DEGREE_LEVELS = [
+  { level: 1, label: "Associate's",  pattern: /\bassociate'?s degree\b|\bA\.A\.S?\b/i },
+  { level: 2, label: "Bachelor's",   pattern: /\bbachelor'?s\b|\bundergraduate degree\b|\b(?:B\.?S\.?c?|B\.A\.?|BA|BEng|B\.Eng|B\.?Tech|BBA)\b(?![-\w])/ },
+  { level: 3, label: "Master's",     pattern: /\bmaster'?s\b|\b(?:M\.?S\.?c?|M\.A\.|MEng|M\.Eng|M\.?Tech|MBA)\b(?![-\w]|\s+(?:Excel|Office|Word|SQL|Teams|Project|Access|Dynamics))/ },
+  { level: 4, label: 'PhD',          pattern: /\bph\.?\s?d\b|\bdoctorate\b|\bdoctoral degree\b/i },
+];
+
+// Named certifications: [label, pattern]. Patterns are case-sensitive
+// where the acronym is also an ordinary word or another abbreviation.
+const KNOWN_CERTIFICATIONS = [
+  ['PMP', /\bPMP\b/],
+  ['CAPM', /\bCAPM\b/],
+  ['Scrum Master', /\b(?:Certified Scrum ?Master|CSM|PSM\s?I*)\b/],
+  ['CPA', /\bCPA\b/],
+  ['CFA', /\bCFA\b/],
+  ['CMA', /\bCMA\b/],
+  ['CISSP', /\bCISSP\b/],
+  ['CISM', /\bCISM\b/],
+  ['CISA', /\bCISA\b/],
+  ['CEH', /\bCEH\b/],
+  ['OSCP', /\bOSCP\b/],
+  ['CompTIA Security+', /\bSecurity\+/],
+  ['CompTIA Network+', /\bNetwork\+/],
+  ['CCNA', /\bCCNA\b/],
+  ['CCNP', /\bCCNP\b/],
+  ['CKA', /\bCKA\b/],
+  ['CKAD', /\bCKAD\b/],
+  ['AWS certification', /\bAWS[- ]Certified\b|\bAWS (?:Solutions Architect|Developer|SysOps)[- ]Associate\b|\bAWS certification\b/i],
+  ['Azure certification', /\bAZ-\d{3}\b|\bAzure (?:certification|certified)\b|\bMicrosoft Certified: Azure\b/i],
+  ['Google Cloud certification', /\bGoogle Cloud (?:certified|certification|Professional)\b|\bGCP certification\b/i],
+  ['Six Sigma', /\bSix Sigma\b/i],
+  ['ITIL', /\bITIL\b/],
+  ['SHRM', /\bSHRM-(?:CP|SCP)\b/],
+  ['PHR', /\bS?PHR\b/],
+  ['RN license', /\bRN\b|\bregistered nurse\b/i],
+  ['BLS', /\bBLS\b/],
+  ['ACLS', /\bACLS\b/],
+  ['PALS', /\bPALS\b/],
+];
+
+const AUTHORIZATION_PATTERNS = [
+  ['no-sponsorship', /\b(?:not|unable to|cannot|can't|won't|will not|does not|do not|no)\s+(?:\w+\s+){0,3}sponsor(?:ship)?\b|\bsponsorship (?:is )?not (?:available|offered|provided)\b/i, 'No visa sponsorship'],
+  ['sponsorship', /\b(?:visa )?sponsorship (?:is )?(?:available|offered|provided)\b|\bwill sponsor\b|\bwe sponsor\b/i, 'Visa sponsorship available'],
+  ['citizenship', /\bU\.?S\.? citizen(?:ship)?\b|\bcitizenship (?:is )?required\b/i, 'Citizenship required'],
+  ['clearance', /\b(?:active |current )?(?:security|secret|top secret) clearance\b|\bTS\/SCI\b/i, 'Security clearance'],
+  ['authorized', /\b(?:legally )?(?:authorized|eligible|permitted) to work in (?:the )?[A-Z][\w.]*(?: [A-Z][\w.]*)*/i, 'Work authorization'],
+];
+// Statements on a resume that settle an authorization requirement
+const RESUME_AUTHORIZATION = /\b(?:U\.?S\.? citizen|citizen(?:ship)?|green card|permanent resident|authorized to work|work authorization)\b/i;
+const RESUME_CLEARANCE = /\b(?:security|secret|top secret) clearance\b|\bTS\/SCI\b/i;
+
+const WORK_MODES = [
+  ['remote', /\b(?:fully |100% )?remote\b/i],
+  ['hybrid', /\bhybrid\b/i],
+  ['on-site', /\bon-?site\b|\bin[- ]office\b|\bin person\b/i],
+];
+const MODE_LABELS = { remote: 'Remote', hybrid: 'Hybrid', 'on-site': 'On-site' };
+
+// Seniority words that don't change what the job *is*
+const TITLE_NOISE = /\b(senior|sr|junior|jr|lead|staff|principal|associate|intern|entry level|mid level|i{1,3}|iv|[1-5])\b/gi;
+
+// ─── analyzeRequirements ─────────────────────────────────────────────────────
+// job = { title, location } from the detected posting, when there is one.
+// jobStructure = parseJobDescription() output (required vs preferred text).
+// Returns { checks: [{ id, label, status, required, found }] } — only the
+// requirements the posting actually states. status: pass = the resume
+// meets it · gap = the resume doesn't show it · info = can't tell.
+export function analyzeRequirements(jobDescription, resumeText, { jobStructure, job = {} } = {}) {
+  const jd = jobDescription || '';
+  const resume = resumeText || '';
+  const preferredText = jobStructure.sections.filter(s => s.type === 'preferred').map(s => s.text).join('\n');
+  const requiredText = jobStructure.sections
+    .filter(s => ['required', 'responsibilities', 'other'].includes(s.type))
+    .map(s => s.text)
+    .join('\n') || jd;
+
+  return {
+    checks: [
+      checkExperience(requiredText, preferredText, resume),
+      checkDegree(requiredText, preferredText, resume),
+      checkTitle(job.title, resume),
+      ...checkCertifications(requiredText, preferredText, resume),
+      checkAuthorization(jd, resume),
+      checkLocation(jd, job.location, resume),
+    ].filter(Boolean),
+  };
+}
+
+// ─── sumExperienceYears ──────────────────────────────────────────────────────
+// Total years covered by the resume's experience date ranges, overlaps
+// merged (two concurrent jobs don't count double). Returns { years, ranges }
+// or null when no range is found.
+export function sumExperienceYears(resumeText, now = new Date()) {
+  const ranges = [];
+  for (const m of experienceText(resumeText).matchAll(DATE_RANGE)) {
+    const start = toMonthIndex(m[1], m[2], m[3]);
+    const end = m[7] ? now.getFullYear() * 12 + now.getMonth() : toMonthIndex(m[4], m[5], m[6]);
+    if (start !== null && end !== null && end >= start) ranges.push([start, end]);
+  }
+  if (ranges.length === 0) return null;
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0].slice()];
+  for (const [start, end] of ranges.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (start <= last[1] + 1) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+
+  const months = merged.reduce((sum, [start, end]) => sum + (end - start + 1), 0);
+  return { years: Math.round((months / 12) * 10) / 10, ranges: ranges.length };
+}
+
+// ─── Internal: checks ────────────────────────────────────────────────────────
+
+function checkExperience(requiredText, preferredText, resume) {
+  const required = maxYears(requiredText);
+  const preferred = maxYears(preferredText);
+  const wanted = required ?? preferred;
+  if (wanted === null) return null;
+
+  const experience = sumExperienceYears(resume);
+  const requirement = `${wanted}+ years${required === null ? ' (preferred)' : ''}`;
+  if (!experience) {
+    return { id: 'experience', label: 'Experience', status: 'info', required: requirement, found: 'No date ranges found in your resume' };
+  }
+  return {
+    id: 'experience',
+    label: 'Experience',
+    // A quarter-year of slack: "2019 – 2022" vs "3+ years" shouldn't flag
+    status: experience.years + 0.25 >= wanted ? 'pass' : 'gap',
+    required: requirement,
+    found: `${experience.years} years across ${experience.ranges} date range${experience.ranges === 1 ? '' : 's'}`,
+  };
+}
+
+function checkDegree(requiredText, preferredText, resume) {
+  const required = minDegree(requiredText);
+  const preferred = minDegree(preferredText);
+  const wanted = required ?? preferred;
+  if (!wanted) return null;
+
+  const have = DEGREE_LEVELS.filter(d => d.pattern.test(resume)).pop();
+  const equivalent = /\bor equivalent\b|\bequivalent (?:practical |work |professional )?experience\b/i.test(requiredText);
+  const requirement = `${wanted.label} degree${required ? '' : ' (preferred)'}${equivalent ? ' or equivalent experience' : ''}`;
+
+  return {
+    id: 'degree',
+    label: 'Degree',
+    status: have && have.level >= wanted.level ? 'pass' : equivalent ? 'info' : 'gap',
+    required: requirement,
+    found: have ? `${have.label} degree` : 'No degree found in your resume',
+  };
+}
+
+function checkTitle(title, resume) {
+  if (!title) return null;
+  const core = titleCore(title);
+  if (!core) return null;
+
+  const resumeLines = resume.split('\n').map(titleCore);
+  const exact = resumeLines.some(line => ` ${line} `.includes(` ${core} `));
+  // Same role noun ("engineer", "analyst", "manager") at least
+  const roleNoun = core.split(' ').pop();
+  const similar = !exact && resumeLines.some(line => line.split(' ').includes(roleNoun));
+
+  return {
+    id: 'title',
+    label: 'Title',
+    status: exact ? 'pass' : similar ? 'info' : 'gap',
+    required: title,
+    found: exact
+      ? 'Your resume uses this title'
+      : similar ? `Related "${roleNoun}" title in your resume` : 'No matching title in your resume',
+  };
+}
+
+function checkCertifications(requiredText, preferredText, resume) {
+  const checks = KNOWN_CERTIFICATIONS
+    .map(([label, pattern]) => {
+      const required = pattern.test(requiredText);
+      if (!required && !pattern.test(preferredText)) return null;
+      const held = pattern.test(resume);
+      return {
+        id: `cert-${label}`,
+        label: 'Certification',
+        status: held ? 'pass' : required ? 'gap' : 'info',
+        required: `${label}${required ? '' : ' (preferred)'}`,
+        found: held ? 'Listed in your resume' : 'Not in your resume',
+        pattern,
+      };
+    })
+    .filter(Boolean);
+
+  // "CKA or CKAD" — holding one of the alternatives settles the rest
+  const alternatives = requiredText.split('\n').filter(line => /\bor\b/i.test(line));
+  for (const check of checks.filter(c => c.status === 'gap')) {
+    const line = alternatives.find(l => check.pattern.test(l));
+    const held = line && checks.find(c => c.status === 'pass' && c.pattern.test(line));
+    if (held) {
+      check.status = 'info';
+      check.found = `Alternative to ${held.required}, which you have`;
+    }
+  }
+
+  return checks.map(({ pattern, ...check }) => check);
+}
+
+function checkAuthorization(jd, resume) {
+  const found = AUTHORIZATION_PATTERNS.filter(([, pattern]) => pattern.test(jd));
+  if (found.length === 0) return null;
+
+  const ids = found.map(([id]) => id);
+  const statement = found.map(([id, pattern, label]) =>
+    id === 'authorized' ? jd.match(pattern)[0].replace(/^\w/, c => c.toUpperCase()) : label
+  );
+
+  const settled = ids.includes('clearance')
+    ? RESUME_CLEARANCE.test(resume)
+    : RESUME_AUTHORIZATION.test(resume);
+  return {
+    id: 'authorization',
+    label: 'Work authorization',
+    // Sponsorship on offer is no hurdle; anything else the user has to judge
+    status: ids.every(id => id === 'sponsorship') || settled ? 'pass' : 'info',
+    required: statement.join(' · '),
+    found: settled ? 'Stated in your resume' : 'Not something a resume shows — check before applying',
+  };
+}
+
+function checkLocation(jd, jobLocation, resume) {
+  const modeText = `${jobLocation || ''}\n${jd}`;
+  const mode = WORK_MODES.find(([, pattern]) => pattern.test(jobLocation || ''))?.[0]
+    ?? (WORK_MODES.find(([id, pattern]) => id === 'hybrid' && pattern.test(modeText))
+      || WORK_MODES.find(([id, pattern]) => id === 'on-site' && pattern.test(modeText) && !/\bremote\b/i.test(modeText))
+      || WORK_MODES.find(([id, pattern]) => id === 'remote' && pattern.test(modeText)))?.[0];
+
+  const place = cleanLocation(jobLocation) || jd.match(/^\s*(?:location|based in|office)\s*:\s*(.+)$/im)?.[1]?.trim() || '';
+  if (!mode && !place) return null;
+
+  const required = [mode && MODE_LABELS[mode], place].filter(Boolean).join(' · ');
+  const home = resumeLocation(resume);
+
+  if (mode === 'remote') {
+    return { id: 'location', label: 'Location', status: 'pass', required, found: home ? `You're in ${home}` : 'Remote role' };
+  }
+  if (!home || !place) {
+    return { id: 'location', label: 'Location', status: 'info', required, found: home ? `You're in ${home}` : 'No location in your resume' };
+  }
+  const sameCity = place.toLowerCase().includes(home.split(',')[0].trim().toLowerCase());
+  return {
+    id: 'location',
+    label: 'Location',
+    status: sameCity ? 'pass' : 'gap',
+    required,
+    found: sameCity ? `You're in ${home}` : `You're in ${home} — relocation or commute`,
+  };
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+// Highest "X+ years" in the text: "5+ years", "3-5 years", "at least 4 years",
+// "minimum of 2 yrs", optionally followed by up to four words before "experience"
+function maxYears(text) {
+  const pattern = /(?:at least|minimum(?: of)?|min\.?)?\s*(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?\+?\s*(?:years?|yrs?)\b(?:'|’)?(?:\s+of)?(?:\s+[\w/+-]+){0,4}?\s+(?:experience|exp\b)/gi;
+  const years = [...(text || '').matchAll(pattern)].map(m => Number(m[1])).filter(n => n > 0 && n <= 30);
+  return years.length ? Math.max(...years) : null;
+}
+
+// Lowest degree level on any line that names one — "BS/MS in CS" asks for a BS
+function minDegree(text) {
+  let best = null;
+  for (const line of (text || '').split('\n')) {
+    const levels = DEGREE_LEVELS.filter(d => d.pattern.test(line));
+    if (levels.length && (!best || levels[0].level < best.level)) best = levels[0];
+  }
+  return best;
+}
+
+// The experience section when the resume has a recognisable heading for
+// it; otherwise the whole resume minus lines about degrees and schools
+function experienceText(resumeText) {
+  const lines = (resumeText || '').split('\n');
+  const heading = line => line.trim().replace(/[:\s]+$/, '');
+  const start = lines.findIndex(line => RESUME_EXPERIENCE_HEADING.test(heading(line)));
+
+  if (start !== -1) {
+    const end = lines.findIndex((line, i) => i > start && RESUME_OTHER_HEADING.test(heading(line)));
+    return lines.slice(start + 1, end === -1 ? undefined : end).join('\n');
+  }
+  return lines
+    .filter(line => !/\b(university|college|school|institute|academy)\b/i.test(line) && !DEGREE_LEVELS.some(d => d.pattern.test(line)))
+    .join('\n');
+}
+
+// Year-only dates count from mid-year, so "2019 – 2022" is three years
+function toMonthIndex(monthName, monthNum, year) {
+  const y = Number(year);
+  let month = 5;
+  if (monthName) month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+  else if (monthNum) month = Number(monthNum) - 1;
+  if (month < 0 || month > 11 || !y) return null;
+  return y * 12 + month;
+}
+
+function titleCore(title) {
+  return (title || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[-–—|,].*$/, ' ')
+    .replace(TITLE_NOISE, ' ')
+    .replace(/[^a-z0-9+#/ ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// "San Francisco, CA (Hybrid)" → "San Francisco, CA"
+function cleanLocation(location) {
+  return (location || '')
+    .replace(/\((?:remote|hybrid|on-?site)\)/gi, '')
+    .replace(/\b(?:remote|hybrid|on-?site)\b/gi, '')
+    .replace(/\s*[·•|]\s*.*$/, '')
+    .replace(/^[\s,·-]+|[\s,·-]+$/g, '')
+    .trim();
+}
+
+// "City, ST" or "City, Country" in the resume header (first few lines)
+function resumeLocation(resume) {
+  for (const line of resume.split('\n').slice(0, 6)) {
+    for (const part of line.split(/\s*[|·•]\s*/)) {
+      const m = part.trim().match(/^([A-Z][a-zA-Z.' -]+),\s*([A-Z]{2}|[A-Z][a-zA-Z ]+)$/);
+      if (m && !/@|\d/.test(part)) return `${m[1]}, ${m[2]}`;
+    }
+  }
+  return null;
+}
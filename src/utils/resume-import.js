@@ -0,0 +1,180 @@
+// resume-import.js — Base resume from JSON Resume and Markdown sources
+//
+// WHY importers next to the file parsers:
+//   People who keep their resume as data (jsonresume.org's resume.json) or
+//   in Markdown (a repo README, a static site) shouldn't have to export a
+//   .docx to get it in. Both already say where sections, roles and bullets
+//   are, so each importer returns the structured resume directly plus the
+//   text the AI reads, instead of leaving resume-structure.js to guess.
+//
+// Both return { text, structured, notes, error }. notes say what was left
+// out, for the preview the side panel shows before anything is replaced.
+// JSON Resume sections the schema has no fields for (projects,
+// certificates, awards...) go in the text only, under the headings
+// resume-structure.js files as "other" — so they stay in the resume the
+// AI reads and survive edits to the Structured Resume form.
+//
+// Pure functions, no API calls. Used by resume-parser.js.
+
+import { resumeToText } from './resume-text.js';
+import { structureResume } from './resume-structure.js';
+
+// Link text that names the kind of link rather than saying anything itself
+const LINK_LABELS = /^(?:linkedin|github|website|portfolio|homepage|web|site|e-?mail)$/i;
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// JSON Resume sections that don't belong on a tailored resume at all
+const SKIPPED_SECTIONS = { interests: 'interest', references: 'reference' };
+
+// ─── importJsonResume ────────────────────────────────────────────────────────
+// https://jsonresume.org/schema — basics, work, education and skills map
+// onto the resume schema; highlights become bullets. Pre-1.0 files used
+// work[].company instead of work[].name, and both are read.
+export function importJsonResume(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw) || (!raw.basics && !Array.isArray(raw.work))) {
+    return { text: null, error: 'This isn\'t a JSON Resume file (expected "basics" and "work" — see jsonresume.org/schema).' };
+  }
+
+  const basics = raw.basics || {};
+  const linkedin = (basics.profiles || []).find(p => /linkedin/i.test(`${p?.network} ${p?.url}`));
+  const location = basics.location || {};
+
+  const structured = {
+    name: str(basics.name),
+    email: str(basics.email),
+    phone: str(basics.phone),
+    location: [location.city, location.region || location.countryCode].map(str).filter(Boolean).join(', '),
+    linkedin: str(linkedin?.url) || (linkedin?.username ? `linkedin.com/in/${str(linkedin.username)}` : ''),
+    summary: str(basics.summary),
+    experience: list(raw.work).map(job => ({
+      company: str(job.name || job.company),
+      title: str(job.position),
+      dates: formatRange(job.startDate, job.endDate),
+      // No highlights: the summary's lines are the bullets
+      bullets: (list(job.highlights).length ? list(job.highlights) : str(job.summary).split('\n'))
+        .map(text => str(text).replace(/^[-•*]\s+/, ''))
+        .filter(Boolean)
+        .map(text => ({ text, authentic: true })),
+    })),
+    skills: [...new Set(list(raw.skills).flatMap(skill =>
+      (list(skill.keywords).length ? list(skill.keywords) : [skill.name]).map(str).filter(Boolean)
+    ))],
+    education: list(raw.education).map(ed => ({
+      institution: str(ed.institution),
+      degree: [str(ed.studyType), str(ed.area)].filter(Boolean).join(' in '),
+      dates: formatRange(ed.startDate, ed.endDate, { open: '' }),
+    })),
+  };
+
+  const notes = Object.entries(SKIPPED_SECTIONS)
+    .filter(([key]) => list(raw[key]).length)
+    .map(([key, label]) => `${list(raw[key]).length} ${label}${list(raw[key]).length === 1 ? '' : 's'} not imported`);
+
+  const text = [resumeToText(structured), extraSections(raw)].filter(Boolean).join('\n\n');
+  return { text, structured, notes, error: null };
+}
+
+// ─── importMarkdown ──────────────────────────────────────────────────────────
+// Markdown is stripped to resume text and parsed by resume-structure.js, with
+// its # headings passed as known headings — the same role Word heading
+// styles play for .docx. A leading heading is the name, not a section.
+export function importMarkdown(markdown) {
+  const headings = [];
+  const lines = [];
+  let fenced = false;
+
+  for (const raw of (markdown || '').replace(/^---\n[\s\S]*?\n---\n/, '').split('\n')) {
+    if (/^\s*(?:```|~~~)/.test(raw)) { fenced = !fenced; continue; }
+    if (fenced || /^\s*<!--.*-->\s*$/.test(raw)) continue;
+
+    // "Experience" underlined with === or --- is a heading; a lone --- is a rule
+    if (/^\s*(?:=+|-+)\s*$/.test(raw) && lines[lines.length - 1]) {
+      headings.push(lines[lines.length - 1]);
+      continue;
+    }
+    if (/^\s*(?:[-*_]\s*){3,}$/.test(raw)) continue;
+
+    const heading = raw.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+
+    const text = inline(heading ? heading[1] : raw)
+      .replace(/^(\s*)[*+]\s+/, '$1- ')          // every list marker becomes "- "
+      .replace(/^\s*-\s+\[[ xX]\]\s+/, '- ')      // task list boxes
+      .replace(/^\s*>\s?/, '');                   // blockquotes
+    if (heading) headings.push(text);
+    lines.push(text.trimEnd());
+  }
+
+  const text = lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (!text) return { text: null, error: 'The Markdown file appears to be empty.' };
+
+  const first = text.split('\n')[0];
+  const structured = structureResume(text, { headings: headings.filter(h => h !== first) });
+  return { text, structured, notes: [], error: null };
+}
+
+// ─── Internal ────────────────────────────────────────────────────────────────
+// Projects, volunteering, certificates, awards, publications and languages
+// as text sections: projects and volunteering are laid out like roles, the
+// rest as one line per item.
+function extraSections(raw) {
+  const joined = (...parts) => parts.map(str).filter(Boolean).join(' — ');
+  const entries = (items, heading) => items.map(item => [
+    heading(item),
+    formatRange(item.startDate, item.endDate, { open: '' }),
+    str(item.description || item.summary),
+    ...list(item.highlights).map(str).filter(Boolean).map(text => `- ${text}`),
+  ].filter(Boolean).join('\n')).filter(Boolean).join('\n\n');
+  const bullets = items => items.filter(Boolean).map(text => `- ${text}`).join('\n');
+
+  return [
+    ['PROJECTS', entries(list(raw.projects), p => joined(p.name, p.url))],
+    ['VOLUNTEER EXPERIENCE', entries(list(raw.volunteer), v => joined(v.position, v.organization))],
+    ['CERTIFICATIONS', bullets(list(raw.certificates).map(c => joined(c.name, c.issuer, formatDate(c.date))))],
+    ['AWARDS', bullets(list(raw.awards).map(a => joined(a.title, a.awarder, formatDate(a.date))))],
+    ['PUBLICATIONS', bullets(list(raw.publications).map(p => joined(p.name, p.publisher, formatDate(p.releaseDate))))],
+    ['LANGUAGES', list(raw.languages)
+      .map(l => [str(l.language), str(l.fluency) && `(${str(l.fluency)})`].filter(Boolean).join(' '))
+      .filter(Boolean)
+      .join(', ')],
+  ]
+    .filter(([, body]) => body)
+    .map(([heading, body]) => `${heading}\n${body}`)
+    .join('\n\n');
+}
+
+// Bold, italics, code, links and images down to their text
+function inline(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    // "[LinkedIn](https://linkedin.com/in/jane)" keeps the URL — it's the contact detail
+    .replace(/\[([^\]]+)\]\(([^)\s]*)[^)]*\)/g, (_, label, url) => (LINK_LABELS.test(label.trim()) ? url.replace(/^mailto:/i, '') : label))
+    .replace(/<(https?:\/\/[^>]+|[^@\s>]+@[^>\s]+)>/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?!\w)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1');
+}
+
+// "2019-03-01" / "2019-03" / "2019" → "Mar 2019"; a missing end is `open`
+function formatRange(start, end, { open = 'Present' } = {}) {
+  const from = formatDate(start);
+  const to = formatDate(end) || (from ? open : '');
+  return [from, to].filter(Boolean).join(' – ');
+}
+
+function formatDate(value) {
+  const match = str(value).match(/^(\d{4})(?:-(\d{1,2}))?/);
+  if (!match) return str(value);
+  const month = MONTHS[Number(match[2]) - 1];
+  return month ? `${month} ${match[1]}` : match[1];
+}
+
+function str(value) {
+  return typeof value === 'string' ? value.trim() : typeof value === 'number' ? String(value) : '';
+}
+
+function list(value) {
+  return Array.isArray(value) ? value.filter(item => item != null) : [];
+}
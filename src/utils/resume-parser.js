@@ -1,27 +1,42 @@
 // resume-parser.js — Parse uploaded resume files
 //
-// WHY we only accept .docx and .txt (not PDF):
-//   PDF text extraction breaks on multi-column resumes, decorative fonts,
-//   and image-based PDFs (common for designer resumes). The extracted text
-//   is garbled and produces bad AI output. mammoth.js for .docx is clean
-//   and reliable. .txt is trivial.
+// .docx goes through mammoth.js (clean and reliable), .txt is trivial.
+// JSON Resume and Markdown files are already structured; resume-import.js
+// maps them onto the resume schema.
 //
-//   When a user uploads a PDF we show a helpful inline error rather than
-//   attempting extraction and producing garbage.
+// WHY PDF needs more than text extraction:
+//   Naive PDF extraction breaks on multi-column resumes, page headers and
+//   bullet glyphs, and the garbled text produces bad AI output. pdf.js
+//   gives us every text run with its position; pdf-layout.js rebuilds the
+//   reading order from those and scores how confident it is. The side
+//   panel shows that score so a low one gets reviewed before saving.
+//
+//   Image-only PDFs (scans, some designer exports) have no text layer at
+//   all — for those we still show the helpful error instead of guessing.
 
 import mammoth from 'mammoth';
+import * as pdfjs from 'pdfjs-dist';
+import * as pdfjsWorker from 'pdfjs-dist/build/pdf.worker.mjs';
+import { layoutPdfText } from './pdf-layout.js';
+import { importJsonResume, importMarkdown } from './resume-import.js';
+
+// WHY in-thread: service workers can't start a Worker. pdf.js falls back
+// to running its worker code on this thread when it finds it here.
+globalThis.pdfjsWorker = pdfjsWorker;
+
+const PDF_IMAGE_ONLY_ERROR = 'This PDF has no selectable text (it\'s scanned or saved as images). Save your resume as .docx or paste the text directly.';
 
 // ─── parseResumeFile ─────────────────────────────────────────────────────────
-// Accepts a File object (from file input), returns { text, error }
+// Accepts a File object (from file input), returns { text, error }.
+// .docx also returns its Word headings; PDFs return { confidence, notes }
+// from pdf-layout.js; .json and .md return { structured, notes, source } —
+// the side panel previews those before they replace anything.
 // Called from background.js message handler so it runs in the service worker
 export async function parseResumeFile(fileBuffer, filename) {
   const ext = filename.split('.').pop().toLowerCase();
 
   if (ext === 'pdf') {
-    return {
-      text: null,
-      error: 'PDF extraction is unreliable. Save your resume as .docx or paste the text directly.',
-    };
+    return parsePdf(fileBuffer);
   }
 
   if (ext === 'txt' || ext === 'text') {
@@ -36,12 +51,26 @@ export async function parseResumeFile(fileBuffer, filename) {
     }
   }
 
+  if (ext === 'json' || ext === 'md' || ext === 'markdown') {
+    const content = new TextDecoder('utf-8').decode(fileBuffer);
+    if (ext !== 'json') return { ...importMarkdown(content), source: 'Markdown' };
+
+    try {
+      return { ...importJsonResume(JSON.parse(content)), source: 'JSON Resume' };
+    } catch (e) {
+      return { text: null, error: 'The .json file is not valid JSON.' };
+    }
+  }
+
   if (ext === 'docx') {
     try {
-      // mammoth.js converts .docx → clean plain text
-      // WHY extractRawText (not convertToHtml): We want plain text for the AI.
-      //     HTML would add noise (tags, attributes) that wastes tokens.
-      const result = await mammoth.extractRawText({
+      // mammoth.js converts .docx → HTML, read once for both the plain text
+      // and the Word heading styles.
+      // WHY convertToHtml (not extractRawText): the raw text loses which
+      //     paragraphs are headings, and a second pass to get them parses
+      //     the whole file again. The AI still only sees the text — tags are
+      //     stripped here, never sent.
+      const result = await mammoth.convertToHtml({
         arrayBuffer: fileBuffer,
       });
 
@@ -50,7 +79,7 @@ export async function parseResumeFile(fileBuffer, filename) {
         console.warn('[ResumeOS] mammoth warnings:', result.messages);
       }
 
-      const text = result.value.trim();
+      const text = htmlToText(result.value);
       if (!text) {
         return {
           text: null,
@@ -58,7 +87,7 @@ export async function parseResumeFile(fileBuffer, filename) {
         };
       }
 
-      return { text, error: null };
+      return { text, error: null, headings: docxHeadings(result.value) };
     } catch (e) {
       return {
         text: null,
@@ -69,10 +98,81 @@ export async function parseResumeFile(fileBuffer, filename) {
 
   return {
     text: null,
-    error: `Unsupported file type: .${ext}. Please upload a .docx or .txt file.`,
+    error: `Unsupported file type: .${ext}. Please upload a .docx, .pdf, .txt, .md or JSON Resume (.json) file.`,
   };
 }
 
+// ─── Internal: docx HTML ─────────────────────────────────────────────────────
+// Paragraphs, list items and table cells each end a line, with a blank line
+// after — the same layout mammoth's raw text output uses.
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(?:p|h[1-6]|li|td|th|tr|table|ul|ol)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Text of every paragraph styled as a Word heading. The plain text loses
+// that styling; resume-structure.js uses it to find sections with unusual names.
+function docxHeadings(html) {
+  return [...html.matchAll(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/g)]
+    .map(([, inner]) => decodeEntities(inner.replace(/<[^>]+>/g, '')).trim())
+    .filter(Boolean);
+}
+
+function decodeEntities(html) {
+  return html
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+// ─── Internal: parsePdf ──────────────────────────────────────────────────────
+// Text runs of every page in top-down page coordinates (the viewport
+// transform also undoes page rotation), then layout reconstruction.
+async function parsePdf(fileBuffer) {
+  let doc;
+  try {
+    doc = await pdfjs.getDocument({
+      data: new Uint8Array(fileBuffer),
+      isEvalSupported: false, // MV3 CSP forbids eval
+      disableFontFace: true,  // no DOM to load fonts into; text doesn't need them
+    }).promise;
+  } catch (e) {
+    if (e.name === 'PasswordException') {
+      return { text: null, error: 'This PDF is password-protected. Remove the password or save it as .docx.' };
+    }
+    return { text: null, error: `Could not read the PDF: ${e.message}` };
+  }
+
+  try {
+    const pages = [];
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const viewport = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+      pages.push({
+        width: viewport.width,
+        height: viewport.height,
+        items: content.items.filter(item => 'str' in item).map((item) => {
+          const [, , c, d, x, y] = pdfjs.Util.transform(viewport.transform, item.transform);
+          return { str: item.str, x, y, width: item.width, size: Math.hypot(c, d) || item.height };
+        }),
+      });
+    }
+
+    const { text, confidence, notes } = layoutPdfText(pages);
+    if (!text) return { text: null, error: PDF_IMAGE_ONLY_ERROR };
+    return { text, error: null, confidence, notes };
+  } catch (e) {
+    return { text: null, error: `Could not read the PDF: ${e.message}` };
+  } finally {
+    doc.destroy();
+  }
+}
+
 // ─── parseResumeText ─────────────────────────────────────────────────────────
 // Simple text passthrough for when user pastes text directly
 export function parseResumeText(text) {
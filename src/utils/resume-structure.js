@@ -0,0 +1,272 @@
+// resume-structure.js — Parse base resume text into resume JSON, locally
+//
+// WHY a local parser:
+//   The base resume is stored as text and only becomes structured when the
+//   AI rewrites it. Every local feature that needs its sections (bullet
+//   lint, diffing, verification, per-section prompts) was re-deriving them
+//   from text with its own regexes. This produces the same schema
+//   validateResumeSchema (ai.js) returns for tailored output, once, and
+//   Settings lets the user correct it as a form.
+//
+// Section headings come from a list of common names ("Work Experience",
+// "Technical Skills"...). For .docx uploads, resume-parser.js also passes
+// the document's Word heading styles, which catch headings with unusual
+// names. Everything else is line heuristics: contact details by pattern,
+// roles as header lines (title, company, dates) followed by bullets,
+// education entries split at each school or degree.
+//
+// Pure functions, no API calls. Used by background.js (uploads, settings
+// without a saved structure), the side panel (pasted text) and
+// resume-text.js (sections the schema has no fields for).
+
+// "Mar 2019", "March 2019", "03/2019", "2019" — same forms as requirements.js
+const DATE = String.raw`(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?\s+|\d{1,2}\/)?(?:19|20)\d{2}`;
+const DATE_RANGE = new RegExp(String.raw`${DATE}\s*(?:[-–—]|to|until)\s*(?:${DATE}|present|current|now|today)`, 'i');
+const SINGLE_DATE = new RegExp(String.raw`(?:expected\s+)?${DATE}`, 'i');
+
+const BULLET_GLYPH = /^(?:[•●▪■◦‣∙·*–—-]|\d{1,2}[.)])\s+/;
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const PHONE = /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]?\d{3,4}[\s.-]?\d{3,4}/;
+const LINKEDIN = /(?:https?:\/\/)?(?:www\.)?linkedin\.com\/in\/[\w-]+\/?/i;
+const LOCATION = /^[A-Z][a-zA-Z.' -]+,\s*(?:[A-Z]{2}|[A-Z][a-zA-Z ]+)$/;
+const HEADER_SEPARATOR = /\s*(?:[|·•]|\s-\s|\s{3,})\s*/;
+
+const SECTION_HEADINGS = {
+  summary: /^(?:professional |career |executive )?(?:summary|profile|objective|about(?: me)?)$/i,
+  experience: /^(?:work |professional |relevant |employment )?(?:experience|employment(?: history)?|work history|career history)$/i,
+  skills: /^(?:technical |core |key )?(?:skills|competencies|technologies|skills (?:&|and) (?:tools|technologies)|tools)$/i,
+  education: /^(?:education|academic background|education (?:&|and) (?:training|certifications))$/i,
+  other: /^(?:projects|certifications?|licenses(?: (?:&|and) certifications)?|awards|honou?rs|publications|volunteer(?:ing| experience)?|interests|languages|references|activities)$/i,
+};
+
+// Words that make a role-header segment the job title rather than the employer
+const TITLE_WORDS = /\b(?:engineer|developer|programmer|architect|scientist|analyst|manager|director|lead|head|vp|vice president|president|officer|chief|founder|co-founder|intern|consultant|specialist|designer|researcher|coordinator|associate|administrator|assistant|representative|technician|nurse|accountant|advisor|executive|editor|writer|teacher|instructor|owner|partner|principal|staff|senior|junior|sr\.?|jr\.?)\b/i;
+const SCHOOL_WORDS = /\b(?:university|college|institute|school|academy|polytechnic|conservatory)\b/i;
+const DEGREE_WORDS = /\b(?:bachelor|master|doctor|associate|diploma|certificate|ph\.?d|mba|b\.?sc?|m\.?sc?|b\.?a|m\.?a|b\.?eng|m\.?eng|b\.?tech|m\.?tech|ged)\b/i;
+
+// ─── structureResume ─────────────────────────────────────────────────────────
+// text: base resume text. options.headings: heading texts known from the
+// source document (.docx heading styles). Returns the full resume schema.
+export function structureResume(text, { headings = [] } = {}) {
+  const known = new Set(headings.map(h => normalizeHeading(h)).filter(Boolean));
+  const lines = (text || '').split('\n').map(line => line.trim());
+
+  const resume = {
+    name: '', email: '', phone: '', location: '', linkedin: '',
+    summary: '', experience: [], skills: [], education: [],
+  };
+
+  const sections = splitSections(lines, known);
+
+  // No experience heading: experience starts at the first dated line, or
+  // at the line above the first bullet
+  if (sections.experience.length === 0) {
+    const first = sections.header.findIndex((line, i) => i > 0 && (DATE_RANGE.test(line) || BULLET_GLYPH.test(line)));
+    if (first > 0) {
+      const start = DATE_RANGE.test(sections.header[first]) ? first : Math.max(1, first - 1);
+      sections.experience = sections.header.splice(start);
+    }
+  }
+
+  resume.summary = sections.summary.join(' ').replace(/\s+/g, ' ').trim();
+  parseHeader(sections.header, resume);
+  resume.experience = parseExperience(sections.experience);
+  resume.skills = parseSkills(sections.skills);
+  resume.education = parseEducation(sections.education);
+  return resume;
+}
+
+// ─── unmappedSections ────────────────────────────────────────────────────────
+// The sections the schema has no place for (projects, certifications,
+// awards, languages...) as text, each with its own heading line — what
+// rendering the structured resume back to text would otherwise lose.
+export function unmappedSections(text) {
+  const lines = (text || '').split('\n').map(line => line.trim());
+  return splitSections(lines, new Set()).other
+    .filter(block => block.lines.length > 0)
+    .map(block => [block.heading, ...block.lines].join('\n'))
+    .join('\n\n');
+}
+
+// ─── Internal: headings ──────────────────────────────────────────────────────
+// The header block and each headed section's non-empty lines. "other"
+// sections keep their heading: [{ heading, lines }].
+function splitSections(lines, known) {
+  const sections = { header: [], summary: [], experience: [], skills: [], education: [], other: [] };
+  let current = 'header';
+  for (const line of lines) {
+    const section = headingSection(line, known, current);
+    if (section) {
+      current = section;
+      if (section === 'other') sections.other.push({ heading: line, lines: [] });
+      continue;
+    }
+    if (!line) continue;
+    if (current === 'other') sections.other[sections.other.length - 1].lines.push(line);
+    else sections[current].push(line);
+  }
+  return sections;
+}
+
+function normalizeHeading(line) {
+  return (line || '').trim().replace(/[:\s]+$/, '').replace(/\s+/g, ' ').toLowerCase();
+}
+
+// The section a line opens, or null when it's content. A document heading
+// with an unknown name starts an "other" section, except inside experience
+// and education, where Word users often style role and school lines as
+// headings too.
+function headingSection(line, known, current) {
+  const heading = normalizeHeading(line);
+  if (!heading || heading.split(' ').length > 5) return null;
+
+  for (const [section, pattern] of Object.entries(SECTION_HEADINGS)) {
+    if (pattern.test(heading)) return section;
+  }
+  if (known.has(heading) && current !== 'experience' && current !== 'education') return 'other';
+  return null;
+}
+
+// ─── Internal: header ────────────────────────────────────────────────────────
+// Name on the first line; contact details anywhere in the header block,
+// usually joined with | or · on one line. Unmatched lines before the
+// first section are a summary without a heading.
+function parseHeader(lines, resume) {
+  const rest = [];
+  lines.forEach((line, i) => {
+    if (i === 0 && !EMAIL.test(line) && !/\d/.test(line) && line.split(/\s+/).length <= 5) {
+      resume.name = line;
+      return;
+    }
+
+    let contact = false;
+    for (const segment of line.split(HEADER_SEPARATOR)) {
+      const value = segment.trim();
+      if (!value) continue;
+      if (!resume.email && EMAIL.test(value)) { resume.email = value.match(EMAIL)[0]; contact = true; }
+      else if (!resume.linkedin && LINKEDIN.test(value)) { resume.linkedin = value.match(LINKEDIN)[0]; contact = true; }
+      else if (!resume.phone && PHONE.test(value) && value.replace(/\D/g, '').length >= 7 && !/[a-z]{3}/i.test(value)) {
+        resume.phone = value.match(PHONE)[0]; contact = true;
+      } else if (!resume.location && LOCATION.test(value) && i <= 3) { resume.location = value; contact = true; }
+    }
+    if (!contact && i > 0) rest.push(line);
+  });
+
+  if (!resume.summary && rest.join(' ').split(/\s+/).length >= 12) {
+    resume.summary = rest.join(' ').replace(/\s+/g, ' ').trim();
+  }
+}
+
+// ─── Internal: experience ────────────────────────────────────────────────────
+// A role is one or more header lines, then its bullets. Bullets are lines
+// with a glyph; in resumes without glyphs, full sentences under a role
+// header with dates. A wrapped line (lowercase start) continues a bullet.
+function parseExperience(lines) {
+  const roles = [];
+  let role = null;
+
+  const startRole = () => {
+    role = { header: [], bullets: [] };
+    roles.push(role);
+  };
+
+  for (const line of lines) {
+    const glyph = BULLET_GLYPH.test(line);
+    const last = role?.bullets.length ? role.bullets.length - 1 : -1;
+
+    if (glyph) {
+      if (!role) startRole();
+      role.bullets.push(line.replace(BULLET_GLYPH, ''));
+    } else if (last >= 0 && /^[a-z(]/.test(line)) {
+      role.bullets[last] = `${role.bullets[last]} ${line}`;
+    } else if (role && role.header.some(h => DATE_RANGE.test(h)) && isSentence(line)) {
+      role.bullets.push(line);
+    } else {
+      // A header line after bullets, or a second date range, is a new role
+      if (!role || role.bullets.length > 0 || (DATE_RANGE.test(line) && role.header.some(h => DATE_RANGE.test(h)))) {
+        startRole();
+      }
+      role.header.push(line);
+    }
+  }
+
+  return roles
+    .filter(r => r.header.length || r.bullets.length)
+    .map(r => ({
+      ...parseRoleHeader(r.header),
+      bullets: r.bullets.map(text => ({ text: text.trim(), authentic: true })).filter(b => b.text),
+    }));
+}
+
+// "Senior Engineer — Acme Corp | Jan 2020 – Present" in any order, on one
+// line or several. Segments with a job-title word are the title, the first
+// other non-location segment is the company.
+function parseRoleHeader(lines) {
+  let dates = '';
+  const segments = [];
+  for (const line of lines) {
+    const match = line.match(DATE_RANGE) || line.match(SINGLE_DATE);
+    if (match && !dates) dates = match[0].trim();
+    const rest = match ? line.replace(match[0], ' ') : line;
+    segments.push(...rest.split(/\s+(?:[|·•@–—-]|at)\s+|\s*[|·•]\s*|,\s+(?=[A-Z])/).map(s => s.replace(/^[\s,()–—-]+|[\s,()–—-]+$/g, '')).filter(Boolean));
+  }
+
+  const content = segments.filter(s => !LOCATION.test(s));
+  const title = content.find(s => TITLE_WORDS.test(s)) || '';
+  const company = content.find(s => s !== title) || '';
+  return { company, title: title || (company ? '' : content[0] || ''), dates };
+}
+
+function isSentence(line) {
+  return line.split(/\s+/).length >= 8 && !DATE_RANGE.test(line);
+}
+
+// ─── Internal: skills ────────────────────────────────────────────────────────
+// "Languages: Python, Go" → Python, Go. Comma, semicolon, pipe and bullet
+// separated; duplicates dropped case-insensitively.
+function parseSkills(lines) {
+  const seen = new Set();
+  const skills = [];
+  for (const line of lines) {
+    const body = line.replace(BULLET_GLYPH, '').replace(/^[^:,]{1,40}:\s*/, '');
+    for (const raw of body.split(/\s*[,;|•·]\s*/)) {
+      const skill = raw.replace(/\.$/, '').trim();
+      if (!skill || skill.split(/\s+/).length > 5 || seen.has(skill.toLowerCase())) continue;
+      seen.add(skill.toLowerCase());
+      skills.push(skill);
+    }
+  }
+  return skills;
+}
+
+// ─── Internal: education ─────────────────────────────────────────────────────
+// A new entry starts at a line naming a school or a degree the current
+// entry already has.
+function parseEducation(lines) {
+  const entries = [];
+  let entry = null;
+
+  for (const line of lines.map(l => l.replace(BULLET_GLYPH, ''))) {
+    const school = SCHOOL_WORDS.test(line);
+    const degree = DEGREE_WORDS.test(line);
+    if (!entry || (school && entry.institution) || (degree && entry.degree)) {
+      entry = { institution: '', degree: '', dates: '' };
+      entries.push(entry);
+    }
+
+    const date = line.match(DATE_RANGE) || line.match(SINGLE_DATE);
+    if (date && !entry.dates) entry.dates = date[0].trim();
+    const segments = (date ? line.replace(date[0], ' ') : line)
+      .split(/\s*(?:[|·•,–—]|\s-\s)\s*/)
+      .map(s => s.replace(/^[\s()]+|[\s()]+$/g, ''))
+      .filter(s => s && !LOCATION.test(s));
+
+    for (const segment of segments) {
+      if (!entry.institution && SCHOOL_WORDS.test(segment)) entry.institution = segment;
+      else if (!entry.degree && DEGREE_WORDS.test(segment)) entry.degree = segment;
+    }
+    if (!entry.institution && !entry.degree && segments.length) entry.institution = segments[0];
+  }
+
+  return entries.filter(e => e.institution || e.degree);
+}
@@ -0,0 +1,55 @@
+// resume-text.js — Render resume JSON as plain resume text
+//
+// WHY plain text:
+//   Everything that scores or checks a resume (keywords.js, requirements.js,
+//   verify.js) reads the base resume as text. Rendering the tailored JSON
+//   the same way lets the same analysis run on both and compare like with
+//   like. The layout mirrors a typical text resume — header, headed
+//   sections, one bullet per line — so section-aware checks still work.
+//
+// Pure functions, no API calls. Used by the side panel, background.js
+// and resume-import.js.
+
+import { unmappedSections } from './resume-structure.js';
+
+// ─── resumeToText ────────────────────────────────────────────────────────────
+export function resumeToText(resume) {
+  const lines = [];
+  const section = (heading, body) => {
+    if (body.length === 0) return;
+    lines.push('', heading, ...body);
+  };
+
+  lines.push(resume.name || '');
+  const contact = [resume.email, resume.phone, resume.location, resume.linkedin].filter(Boolean);
+  if (contact.length) lines.push(contact.join(' | '));
+
+  section('SUMMARY', resume.summary ? [resume.summary] : []);
+
+  section('EXPERIENCE', (resume.experience || []).flatMap(job => [
+    [job.title, job.company].filter(Boolean).join(' — '),
+    ...(job.dates ? [job.dates] : []),
+    ...(job.bullets || []).map(b => `- ${b.text || ''}`),
+    '',
+  ]));
+
+  section('SKILLS', (resume.skills || []).length ? [resume.skills.join(', ')] : []);
+
+  section('EDUCATION', (resume.education || []).map(ed =>
+    [ed.degree, ed.institution, ed.dates].filter(Boolean).join(' — ')
+  ));
+
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// ─── profileText ─────────────────────────────────────────────────────────────
+// The base resume text a profile is tailored, verified and diffed against.
+// Once the user has corrected the Structured Resume form (jsonEdited), the
+// form is the source of truth and is rendered back to text, followed by the
+// sections it has no fields for (projects, certifications...) as written.
+// Until then the text as written is.
+export function profileText(profile) {
+  if (!profile) return '';
+  if (!profile.jsonEdited || !profile.json) return profile.text || '';
+  return [resumeToText(profile.json), unmappedSections(profile.text)].filter(Boolean).join('\n\n');
+}
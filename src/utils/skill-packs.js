@@ -0,0 +1,207 @@
+// skill-packs.js — Industry vocabularies layered over the built-in skill graph
+//
+// WHY packs:
+//   keywords.js ships a software/ML dictionary. A product manager's or a
+//   nurse's posting matched almost none of it, so their keyword analysis
+//   was near-empty. Each pack adds one field's skills, sorted into the same
+//   hard / soft / other categories the UI already shows.
+//
+// `weights` overrides CATEGORY_WEIGHTS for that pack's skills only. In
+// product and sales roles the "soft" skills (stakeholder management,
+// negotiation) are what the posting is actually screening for, so they
+// count closer to hard skills there.
+//
+// Aliases follow the SKILL_ALIASES rules: keys match a skill name exactly,
+// and nothing that is an ordinary word or collides with another meaning
+// ("quota", "clients", "argo", "spreadsheets", "sem" are all left out).
+//
+// `concepts` are the hard skills that are practices rather than named
+// products ("Statistics", "Networking"). They count in keyword matching
+// like any skill; verify.js never treats them as tools a tailored bullet
+// must find in the base resume (see CONCEPT_SKILLS in keywords.js).
+//
+// Pure data. keywords.js merges the active packs per analysis and
+// auto-detects packs from the base resume (detectSkillPacks).
+
+export const SKILL_PACKS = {
+
+  data: {
+    label: 'Data & Analytics',
+    hard: [
+      'Data Analysis', 'Data Visualization', 'Statistics', 'A/B Testing',
+      'Experimentation', 'Regression Analysis', 'Hypothesis Testing',
+      'Tableau', 'Power BI', 'Looker', 'Microsoft Excel', 'Pandas', 'NumPy',
+      'dbt', 'Snowflake', 'BigQuery', 'Redshift', 'Databricks',
+      'Data Governance', 'Data Quality', 'Dashboards', 'KPIs',
+      'Forecasting', 'Predictive Modeling', 'Jupyter',
+    ],
+    concepts: ['Statistics', 'Experimentation', 'Dashboards', 'KPIs', 'Forecasting', 'Data Quality'],
+    soft: ['Data Storytelling', 'Business Acumen'],
+    aliases: {
+      'Data Visualization': ['data viz', 'data visualisation'],
+      'A/B Testing': ['a/b tests', 'ab testing', 'split testing'],
+      'Power BI': ['powerbi'],
+      // Bare "excel" is left out: "you'll excel at..."
+      'Microsoft Excel': ['ms excel', 'pivot tables', 'vlookup'],
+      'Dashboards': ['dashboard', 'dashboarding'],
+      'KPIs': ['kpi', 'key performance indicators'],
+      'Predictive Modeling': ['predictive modelling', 'predictive models'],
+      'Jupyter': ['jupyter notebooks'],
+    },
+  },
+
+  product: {
+    label: 'Product Management',
+    weights: { soft: 2 },
+    hard: [
+      'Product Strategy', 'Product Roadmap', 'Product Discovery',
+      'User Research', 'Market Research', 'Competitive Analysis',
+      'Go-to-Market Strategy', 'Product Requirements', 'User Stories',
+      'Prioritization', 'Product Analytics', 'OKRs', 'Jira', 'Confluence',
+      'Amplitude', 'Mixpanel', 'Product Lifecycle', 'Pricing Strategy',
+    ],
+    concepts: ['Prioritization'],
+    soft: [
+      'Stakeholder Management', 'Cross Functional Collaboration',
+      'Strategic Thinking', 'Decision Making', 'Influence',
+    ],
+    aliases: {
+      'Product Roadmap': ['roadmap', 'roadmaps', 'roadmapping'],
+      'Go-to-Market Strategy': ['go-to-market', 'gtm'],
+      'Product Requirements': ['prd', 'prds', 'product requirements documents'],
+      'User Stories': ['user story'],
+      'OKRs': ['okr', 'objectives and key results'],
+      'Product Lifecycle': ['product life cycle'],
+      'Decision Making': ['decision-making'],
+    },
+  },
+
+  design: {
+    label: 'Design',
+    weights: { soft: 1.5 },
+    hard: [
+      'Figma', 'Sketch', 'Adobe XD', 'Adobe Creative Suite', 'Photoshop',
+      'Illustrator', 'InDesign', 'UX Design', 'UI Design', 'Interaction Design',
+      'Visual Design', 'Design Systems', 'Wireframing', 'Prototyping',
+      'Usability Testing', 'Information Architecture', 'Accessibility',
+      'Typography', 'Motion Design', 'User Flows',
+    ],
+    concepts: ['Wireframing', 'Prototyping', 'Accessibility', 'Typography'],
+    soft: ['Design Thinking', 'Empathy', 'Design Critique'],
+    aliases: {
+      'Adobe Creative Suite': ['adobe creative cloud', 'creative cloud'],
+      'UX Design': ['ux', 'user experience', 'user experience design'],
+      'UI Design': ['ui', 'user interface design'],
+      'Design Systems': ['design system', 'component library'],
+      'Wireframing': ['wireframes', 'wireframe'],
+      'Prototyping': ['prototypes', 'prototype'],
+      'Usability Testing': ['usability studies', 'user testing'],
+      'Information Architecture': ['ia'],
+      'Accessibility': ['a11y', 'wcag'],
+      'User Flows': ['user flow', 'user journeys', 'journey mapping'],
+    },
+  },
+
+  finance: {
+    label: 'Finance',
+    hard: [
+      'Financial Modeling', 'Financial Analysis', 'Financial Reporting',
+      'Budgeting', 'FP&A', 'Variance Analysis', 'GAAP', 'IFRS',
+      'Accounts Payable', 'Accounts Receivable', 'Reconciliation',
+      'General Ledger', 'Audit', 'Tax', 'Valuation', 'DCF', 'Treasury',
+      'Risk Management', 'Compliance', 'SOX', 'NetSuite', 'SAP',
+      'QuickBooks', 'Bloomberg Terminal', 'CPA', 'CFA',
+    ],
+    concepts: ['Budgeting', 'Reconciliation', 'Audit', 'Tax', 'Valuation', 'Treasury', 'Compliance'],
+    soft: ['Attention to Detail', 'Integrity'],
+    other: ['Month-End Close', 'Cash Flow'],
+    aliases: {
+      'Financial Modeling': ['financial modelling', 'financial models'],
+      'FP&A': ['financial planning and analysis', 'fp and a'],
+      'Accounts Payable': ['ap'],
+      'Accounts Receivable': ['ar'],
+      'Reconciliation': ['reconciliations', 'account reconciliation'],
+      'General Ledger': ['gl'],
+      'Audit': ['auditing', 'audits'],
+      'DCF': ['discounted cash flow'],
+      'SOX': ['sarbanes-oxley', 'sarbanes oxley'],
+      'Month-End Close': ['month end close', 'monthly close'],
+    },
+  },
+
+  healthcare: {
+    label: 'Healthcare',
+    hard: [
+      'Patient Care', 'Clinical Documentation', 'Electronic Health Records',
+      'Epic', 'Cerner', 'HIPAA', 'Medical Terminology', 'ICD-10', 'CPT Coding',
+      'Medical Billing', 'Triage', 'Medication Administration', 'Infection Control',
+      'BLS', 'ACLS', 'Care Coordination', 'Case Management', 'Clinical Research',
+      'Quality Improvement', 'Patient Safety',
+    ],
+    concepts: ['Triage'],
+    soft: ['Compassion', 'Bedside Manner', 'Patient Education'],
+    other: ['Patients'],
+    aliases: {
+      'Electronic Health Records': ['ehr', 'emr', 'electronic medical records'],
+      'Epic': ['epic systems', 'epiccare'],
+      'CPT Coding': ['cpt'],
+      'Medical Billing': ['medical coding', 'billing and coding'],
+      'BLS': ['basic life support'],
+      'ACLS': ['advanced cardiovascular life support'],
+      'Patients': ['patient'],
+    },
+  },
+
+  sales: {
+    label: 'Sales & Marketing',
+    weights: { soft: 2 },
+    hard: [
+      'Salesforce', 'HubSpot', 'CRM', 'Lead Generation', 'Pipeline Management',
+      'Account Management', 'Business Development', 'Cold Calling', 'Prospecting',
+      'Quota Attainment', 'Sales Forecasting', 'Digital Marketing',
+      'Content Marketing', 'Email Marketing', 'Social Media Marketing',
+      'Paid Media', 'Google Analytics', 'Google Ads', 'Marketing Automation',
+      'Brand Strategy', 'Demand Generation', 'Copywriting', 'SaaS Sales',
+    ],
+    concepts: ['Prospecting', 'Copywriting'],
+    soft: ['Negotiation', 'Relationship Building', 'Persuasion', 'Presentation Skills'],
+    other: ['Customers', 'Revenue'],
+    aliases: {
+      'CRM': ['customer relationship management'],
+      'Lead Generation': ['lead gen'],
+      'Pipeline Management': ['sales pipeline'],
+      'Business Development': ['bizdev', 'biz dev'],
+      'Paid Media': ['paid social', 'paid search', 'ppc'],
+      'Google Analytics': ['ga4'],
+      'Marketing Automation': ['marketo', 'pardot'],
+      'Demand Generation': ['demand gen'],
+      'Relationship Building': ['relationship management'],
+      'Presentation Skills': ['presentations', 'public speaking'],
+    },
+  },
+
+  devops: {
+    label: 'DevOps / SRE',
+    hard: [
+      'Ansible', 'Helm', 'Prometheus', 'Grafana', 'Datadog', 'PagerDuty',
+      'Splunk', 'ELK Stack', 'OpenTelemetry', 'Istio', 'Service Mesh',
+      'ArgoCD', 'GitOps', 'Pulumi', 'CloudFormation', 'Nginx',
+      'Incident Response', 'On-Call', 'Postmortems', 'SLOs',
+      'Capacity Planning', 'Chaos Engineering', 'Disaster Recovery',
+      'Networking',
+    ],
+    concepts: ['Networking', 'Postmortems', 'On-Call'],
+    soft: ['Blameless Culture'],
+    aliases: {
+      'ELK Stack': ['elk', 'elasticsearch', 'kibana', 'logstash'],
+      'OpenTelemetry': ['otel'],
+      'ArgoCD': ['argo cd'],
+      'Incident Response': ['incident management'],
+      'On-Call': ['on call', 'oncall', 'on-call rotation'],
+      'Postmortems': ['postmortem', 'post-mortem', 'post-mortems', 'incident reviews'],
+      'SLOs': ['slo', 'slis', 'sla', 'slas', 'service level objectives'],
+      'Disaster Recovery': ['business continuity'],
+      'Networking': ['tcp/ip', 'dns'],
+    },
+  },
+};
@@ -0,0 +1,170 @@
+// verify.js — Deterministic check of tailored output against the base resume
+//
+// WHY this exists:
+//   The model's own f:1 flag is self-reported — it only flags what it
+//   *knows* it added. This pass doesn't trust the model at all: every fact
+//   that must come from the user (employers, titles, dates, schools,
+//   degrees, numbers, named tools) is looked up in the base resume text.
+//
+//   Identity fields are restored from the source when a close variant is
+//   found (the model reformatted "Jan 2020 – Present" or expanded "Corp" to
+//   "Corporation"); otherwise they're reported as unverified. Bullets can't
+//   be restored — a bullet is a rewrite by design — so they're flagged
+//   authentic: false with the offending terms listed in `unverified`.
+//
+// Pure functions, no API calls. Runs in the background after
+// validateResumeSchema and on regenerated bullets.
+
+import { hardSkillFinder } from './keywords.js';
+
+// Character-bigram similarity needed to treat a base-resume segment as the
+// source of a reformatted identity field. Below this we'd be guessing.
+const MIN_RESTORE_SIMILARITY = 0.6;
+
+// ─── verifyAgainstBase ───────────────────────────────────────────────────────
+// Returns { resume, verification } — a checked copy of the resume plus
+// { restored: [{ field, from, to }], unverified: [{ field, value }], flagged }.
+// options.customSkills / options.packs: the user's skill dictionary and
+// active skill packs, so their tools are checked like the built-in ones.
+export function verifyAgainstBase(resume, baseText, options = {}) {
+  const base = indexBase(baseText, options);
+  const checked = structuredClone(resume);
+  const verification = { restored: [], unverified: [], flagged: 0 };
+
+  const checkField = (obj, key, field) => {
+    const value = obj[key];
+    if (!value || base.contains(value)) return;
+
+    const source = base.closestSegment(value);
+    if (source) {
+      verification.restored.push({ field, from: value, to: source });
+      obj[key] = source;
+    } else {
+      verification.unverified.push({ field, value });
+    }
+  };
+
+  (checked.experience || []).forEach((job, i) => {
+    checkField(job, 'company', `experience ${i + 1} company`);
+    checkField(job, 'title', `experience ${i + 1} title`);
+    checkField(job, 'dates', `experience ${i + 1} dates`);
+    job.bullets = verifyBullets(job.bullets || [], base);
+    verification.flagged += job.bullets.filter(b => b.unverified).length;
+  });
+
+  (checked.education || []).forEach((ed, i) => {
+    checkField(ed, 'institution', `education ${i + 1} institution`);
+    checkField(ed, 'degree', `education ${i + 1} degree`);
+    checkField(ed, 'dates', `education ${i + 1} dates`);
+  });
+
+  return { resume: checked, verification };
+}
+
+// ─── verifyBulletsAgainstBase ────────────────────────────────────────────────
+// Bullet-only check for regenerated fragments (no identity fields involved).
+export function verifyBulletsAgainstBase(bullets, baseText, options = {}) {
+  return verifyBullets(bullets, indexBase(baseText, options));
+}
+
+// ─── Internal: verifyBullets ─────────────────────────────────────────────────
+function verifyBullets(bullets, base) {
+  return bullets.map((bullet) => {
+    const missing = [
+      ...extractNumbers(bullet.text).filter(n => !base.numbers.has(n.key)).map(n => n.text),
+      ...[...base.findTools.named(bullet.text)].filter(tool => !base.tools.has(tool)),
+    ];
+    if (missing.length === 0) return bullet;
+    return { ...bullet, authentic: false, unverified: [...new Set(missing)] };
+  });
+}
+
+// ─── Internal: indexBase ─────────────────────────────────────────────────────
+// Precomputes everything the checks look up, once per verification pass.
+function indexBase(baseText, { customSkills = [], packs = [] } = {}) {
+  const text = baseText || '';
+  const findTools = hardSkillFinder({ customSkills, packs });
+  const flat = normalizeText(text);
+  const numbers = new Set(extractNumbers(text).map(n => n.key));
+
+  // Candidate identity values: each line, plus the pieces of lines that
+  // pack several fields together ("Acme Corp | Senior Engineer | 2019 – 2022")
+  const segments = new Set();
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    segments.add(trimmed);
+    for (const part of trimmed.split(/\s*[|·•\t]\s*|\s{2,}|,\s+/)) {
+      if (part.trim().length > 1) segments.add(part.trim());
+    }
+  }
+
+  return {
+    numbers,
+    contains: value => flat.includes(normalizeText(value)),
+    // Tools compare by canonical name, so "Kubernetes" in a bullet is
+    // backed by "k8s" in the base resume and "Docker" by "docker"
+    findTools,
+    tools: findTools.mentioned(text),
+    closestSegment(value) {
+      let best = null;
+      let bestScore = MIN_RESTORE_SIMILARITY;
+      for (const segment of segments) {
+        const score = bigramSimilarity(value, segment);
+        if (score >= bestScore) { best = segment; bestScore = score; }
+      }
+      return best;
+    },
+  };
+}
+
+// ─── Internal: extractNumbers ────────────────────────────────────────────────
+// Metrics in bullet text: 30%, $1.2M, 10x, 500+, 1,000. Digits glued to
+// letters (EC2, S3, H1B) are product names, not metrics, and are skipped.
+// `key` normalizes formatting so "$1,200", "1.2K" and "1200+" all match,
+// and "30 percent" matches "30%".
+function extractNumbers(text) {
+  const matches = (text || '').match(/(?<![\w.])\$?\d+(?:[.,]\d+)*(?:\s?(?:%|percent\b)|[kmb]\b|x\b|\+)?/gi) || [];
+  return matches.map(raw => ({ text: raw.trim(), key: numberKey(raw) }));
+}
+
+function numberKey(raw) {
+  const [, num, unit] = raw.toLowerCase()
+    .replace(/percent/, '%')
+    .replace(/[$,\s+]/g, '')
+    .match(/^([\d.]+)(.*)$/);
+  const scale = { k: 1e3, m: 1e6, b: 1e9 }[unit] || 1;
+  const value = Math.round(Number(num) * scale * 1000) / 1000;
+  return unit === '%' || unit === 'x' ? `${value}${unit}` : String(value);
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function normalizeText(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[–—]/g, '-')
+    .replace(/\s*-\s*/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function bigramSimilarity(a, b) {
+  const x = bigrams(normalizeText(a));
+  const y = bigrams(normalizeText(b));
+  if (!x.length || !y.length) return 0;
+
+  const counts = new Map();
+  for (const g of x) counts.set(g, (counts.get(g) || 0) + 1);
+  let shared = 0;
+  for (const g of y) {
+    if (counts.get(g) > 0) { shared++; counts.set(g, counts.get(g) - 1); }
+  }
+  return (2 * shared) / (x.length + y.length);
+}
+
+function bigrams(s) {
+  const out = [];
+  for (let i = 0; i < s.length - 1; i++) out.push(s.slice(i, i + 2));
+  return out;
+}